@@ -0,0 +1,84 @@
+/* Update lanes, flushSync and the nested-update guard, rendered through
+   Vertex.test.  Run: node --test test/ */
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert');
+var Vertex = require('../vertex.js');
+
+var h   = Vertex.createElement;
+var act = Vertex.test.act;
+
+/* A component whose setter is handed back through props.expose */
+function Value(props) {
+  var s = Vertex.useState(props.initial || 0);
+  props.expose(s[1]);
+  if (props.log) props.log.push(s[0]);
+  return h('b', null, String(s[0]));
+}
+
+test('urgent updates render before a transition queued ahead of them', function () {
+  var set, log = [];
+  var r = Vertex.test.create(h(Value, { expose: function (f) { set = f; }, log: log }));
+  log.length = 0;
+  act(function () {
+    Vertex.startTransition(function () { set(function (n) { return n + 10; }); });
+    set(function (n) { return n + 1; });
+  });
+  /* the urgent +1 commits alone first, then the transition replays over it */
+  assert.deepStrictEqual(log, [1, 11]);
+  assert.strictEqual(r.toJSON().children[0], '11');
+});
+
+test('useDeferredValue shows the previous value until the transition renders', function () {
+  var log = [];
+  function Deferred(props) {
+    var v = Vertex.useDeferredValue(props.value);
+    log.push(props.value + '/' + v);
+    return null;
+  }
+  var r = Vertex.test.create(h(Deferred, { value: 'a' }));
+  log.length = 0;
+  r.update(h(Deferred, { value: 'b' }));
+  assert.deepStrictEqual(log, ['b/a', 'b/b']);
+});
+
+test('flushSync commits its updates before returning', function () {
+  var set;
+  var r = Vertex.test.create(h(Value, { expose: function (f) { set = f; } }));
+  Vertex.flushSync(function () { set(7); });
+  assert.strictEqual(r.toJSON().children[0], '7');
+});
+
+test('one flushSync can update many roots', function () {
+  var setters = [], roots = [], errors = [];
+  var options = { onError: function (err) { errors.push(err.message); } };
+  for (var i = 0; i < 60; i++) {
+    roots.push(Vertex.test.create(h(Value, { expose: function (f) { setters.push(f); } }), options));
+  }
+  Vertex.flushSync(function () {
+    setters.forEach(function (set) { set(1); });
+  });
+  roots.forEach(function (r) { assert.strictEqual(r.toJSON().children[0], '1'); });
+  assert.deepStrictEqual(errors, []);
+});
+
+test('a root that keeps updating from a layout effect reports to onError', function () {
+  var errors = [];
+  function Loop() {
+    var s = Vertex.useState(0);
+    Vertex.useLayoutEffect(function () {
+      Vertex.flushSync(function () { s[1](s[0] + 1); });
+    });
+    return null;
+  }
+  var set;
+  var other = Vertex.test.create(h(Value, { expose: function (f) { set = f; } }));
+  act(function () {
+    Vertex.test.create(h(Loop), { onError: function (err) { errors.push(err.message); } });
+    Vertex.flushSync(function () { set(3); });
+  });
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /maximum update depth exceeded/);
+  assert.strictEqual(other.toJSON().children[0], '3');
+});
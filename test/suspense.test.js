@@ -0,0 +1,68 @@
+/* Suspense boundaries, rendered through Vertex.test.  Run: node --test test/ */
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert');
+var Vertex = require('../vertex.js');
+
+var h = Vertex.createElement;
+var act = Vertex.test.act;
+
+/* A resource that suspends until release() is called */
+function deferred() {
+  var resolve;
+  var promise = new Promise(function (r) { resolve = r; });
+  var res = { done: false, promise: promise };
+  res.release = function () { res.done = true; resolve(); return promise; };
+  return res;
+}
+
+function Counter() {
+  var s = Vertex.useState(0);
+  return h('button', { onClick: function () { s[1](function (n) { return n + 1; }); } }, 'count ' + s[0]);
+}
+
+function Loader(props) {
+  if (!props.res.done) throw props.res.promise;
+  return h('span', null, 'loaded');
+}
+
+/* The host node the renderer placed for the counter's <button> */
+function buttonNode(r) {
+  return r._root.dom.childNodes.filter(function (n) { return n.localName === 'button'; })[0];
+}
+
+function App(props) {
+  return h(Vertex.Suspense, { fallback: h('i', null, 'loading') },
+    h(Counter, null),
+    props.res ? h(Loader, { res: props.res }) : null);
+}
+
+test('committed content keeps its state through an update-time suspension', async function () {
+  var r = Vertex.test.create(h(App, {}));
+  var button = r.root.findByType('button');
+  for (var i = 0; i < 5; i++) Vertex.test.fireEvent(button, 'click');
+  assert.strictEqual(r.root.findByType('button').children[0], 'count 5');
+
+  var res = deferred();
+  r.update(h(App, { res: res }));
+  assert.strictEqual(r.root.findByType('i').children[0], 'loading');
+  assert.strictEqual(r.root.findByType('button').children[0], 'count 5');
+  assert.strictEqual(buttonNode(r).style.display, 'none');
+
+  await act(function () { return res.release(); });
+  assert.strictEqual(r.root.findAllByType('i').length, 0);
+  assert.strictEqual(r.root.findByType('span').children[0], 'loaded');
+  assert.strictEqual(r.root.findByType('button').children[0], 'count 5');
+  assert.strictEqual(buttonNode(r).style.display, '');
+});
+
+test('a boundary that suspends on mount shows only its fallback', async function () {
+  var res = deferred();
+  var r = Vertex.test.create(h(App, { res: res }));
+  assert.deepStrictEqual(r.toJSON(), { type: 'i', props: {}, children: ['loading'] });
+
+  await act(function () { return res.release(); });
+  assert.strictEqual(r.root.findByType('button').children[0], 'count 0');
+  assert.strictEqual(r.root.findByType('span').children[0], 'loaded');
+});
@@ -0,0 +1,124 @@
+/* Compiled and interpreted templates must render the same markup — every
+   tag type goes through Vertex.template.parity.  Run: node --test test/ */
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert');
+var Vertex = require('../vertex.js');
+
+var Template = Vertex.template;
+
+Template.registerPartial('card', '<div class="card"><b>{{name}}</b> {{bpm}} BPM</div>');
+Template.registerPartial('page',
+  '<header>{{#block title}}Vertex{{/block}}</header><main>{{#block content}}{{/block}}</main>');
+Template.registerPartial('set-page',
+  '{{#extends page}}{{#block title}}Set: {{setName}}{{/block}}{{/extends}}');
+Template.registerHelper('top', function (list, n, options) {
+  return list.length
+    ? list.slice(0, n).map(function (t) { return options.fn(t); }).join('')
+    : options.inverse();
+});
+Template.registerHelper('shout', function (options) {
+  return options.fn().toUpperCase() + '!';
+});
+
+var data = {
+  setName:  'Night <Drive>',
+  html:     '<em>raw</em>',
+  loading:  false,
+  count:    3,
+  price:    1234.5,
+  notes:    null,
+  released: new Date(2024, 2, 9, 7, 5, 3),
+  tracks: [
+    { name: 'Vortex', bpm: 174, tags: ['dnb', 'roller'] },
+    { name: 'Tide & Time', bpm: 128, tags: [] },
+    { name: 'Quiet', bpm: 90 }
+  ],
+  stats:  { plays: 12, skips: 0, likes: 4 },
+  byDeck: new Map([['A', { name: 'Vortex' }], ['B', { name: 'Quiet' }]]),
+  deck:   { name: 'Deck A', bpm: 174, setName: 'shadowed' },
+  empty:  []
+};
+
+var cases = {
+  'variables and escapes': [
+    '{{setName}} {{{html}}} {{deck.name}} {{missing}} {{count}}',
+    '{{ html }}|{{{ setName }}}|{{ tracks.1.name }}|{{deck.missing.deep}}'
+  ],
+  'if / else if / unless': [
+    '{{#if loading}}L{{else if tracks.length > 2 && !loading}}many{{else}}none{{/if}}',
+    '{{#if count === 3}}three{{/if}}{{#if (count < 2 || deck.bpm >= 174)}} fast{{/if}}',
+    '{{#unless loading}}ready{{else}}busy{{/unless}}{{#unless empty.length}} empty{{/unless}}',
+    '{{#if notes == null}}no notes{{else if notes}}notes{{/if}}{{#if deck.name != "Deck B"}} A{{/if}}'
+  ],
+  'each over arrays': [
+    '<ul>{{#each tracks}}<li class="{{#if @first}}first{{/if}}{{#if @last}}last{{/if}}">' +
+      '{{@index}} {{name}} — {{../setName}}</li>{{/each}}</ul>',
+    '{{#each tracks}}{{name}}:{{#each tags}}[{{.}}]{{else}}untagged{{/each}};{{/each}}',
+    '{{#each empty}}x{{else}}nothing{{/each}}'
+  ],
+  'each over objects and Maps': [
+    '<dl>{{#each stats}}<dt>{{@key}}</dt><dd>{{.}}</dd>{{/each}}</dl>',
+    '{{#each byDeck}}{{@key}}={{name}}{{#unless @last}},{{/unless}}{{/each}}'
+  ],
+  'with': [
+    '{{#with deck}}{{name}} at {{bpm}} BPM for {{setName}} / {{../setName}}{{else}}No deck{{/with}}',
+    '{{#with nothing}}x{{else}}No deck loaded{{/with}}'
+  ],
+  'partials': [
+    '{{> card deck}} {{#each tracks}}{{> card}}{{/each}}',
+    '{{#with deck}}{{> card}}{{/with}}'
+  ],
+  'extends / block': [
+    '{{#extends page}}{{#block content}}<p>{{count}} tracks</p>{{/block}}{{/extends}}',
+    '{{#extends set-page}}{{#block content}}{{#each tracks}}{{name}} {{/each}}{{/block}}{{/extends}}',
+    '{{#extends page}}{{/extends}}'
+  ],
+  'filters': [
+    '{{ setName | upper }} {{ setName | lower }} {{ notes | default "—" | truncate 5 }}',
+    '{{ price | number 2 }} {{ price | currency "EUR" "en-GB" }} {{ count | pluralize "track" }}',
+    '{{ released | date "YYYY-MM-DD HH:mm:ss" }} {{ released | date "iso" }}',
+    '{{ stats | json }} {{{ html | prefix "<p>" | suffix "</p>" }}} {{ deck.name | truncate 4 "." }}'
+  ],
+  'block helpers': [
+    '<ol>{{#top tracks 2}}<li>{{name}} — {{ bpm | suffix " BPM" }}</li>{{else}}<li>Empty</li>{{/top}}</ol>',
+    '{{#top empty 2}}x{{else}}Empty set for {{setName}}{{/top}}',
+    '{{#shout}}hello {{deck.name}}{{/shout}}'
+  ]
+};
+
+Object.keys(cases).forEach(function (name) {
+  test(name, function () {
+    cases[name].forEach(function (src) {
+      var result = Template.parity(src, data);
+      assert.ok(result.compiled.length > 0, 'empty output for ' + src);
+      assert.strictEqual(result.interpreted, result.compiled, 'compiled and interpreted differ for ' + src);
+      assert.ok(result.equal);
+    });
+  });
+});
+
+test('Template.interpret switches a live instance to the interpreter', function () {
+  var src      = cases['each over arrays'][0];
+  var expected = Template.parity(src, data).compiled;
+  var tmpl     = new Template({ template: src, data: data });
+
+  /* count calls to the instance's compiled function */
+  var compiled = tmpl._compiled, calls = 0;
+  tmpl._compiled = function () { calls++; return compiled.apply(this, arguments); };
+  assert.strictEqual(tmpl.html(), expected);
+  assert.strictEqual(calls, 1);
+
+  Template.interpret = true;
+  try {
+    assert.strictEqual(tmpl.html(), expected);
+    assert.strictEqual(calls, 1, 'compiled function ran with Template.interpret set');
+  } finally {
+    Template.interpret = false;
+  }
+
+  var own = new Template({ template: src, data: data, interpret: true });
+  assert.strictEqual(own._compiled, null);
+  assert.strictEqual(own.html(), expected);
+});
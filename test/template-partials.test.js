@@ -0,0 +1,31 @@
+/* Template partials that include themselves.  Run: node --test test/ */
+'use strict';
+
+var test   = require('node:test');
+var assert = require('node:assert');
+var Vertex = require('../vertex.js');
+
+var Template = Vertex.template;
+
+test('a partial can include itself to render a tree', function () {
+  Template.registerPartial('node',
+    '<li>{{name}}{{#if child}}<ul>{{> node child}}</ul>{{/if}}</li>');
+  var data = { name: 'a', child: { name: 'b', child: { name: 'c', child: null } } };
+  assert.strictEqual(Vertex.parseTemplate('<ul>{{> node}}</ul>', data),
+    '<ul><li>a<ul><li>b<ul><li>c</li></ul></li></ul></li></ul>');
+});
+
+test('a partial that includes itself without end throws', function () {
+  Template.registerPartial('self', 'a{{> self}}');
+  assert.throws(function () { Vertex.parseTemplate('{{> self}}', {}); },
+    /Vertex\.template: recursive partial "self"/);
+});
+
+test('partials that include each other without end throw', function () {
+  Template.registerPartial('ping', '{{> pong}}');
+  Template.registerPartial('pong', '{{> ping}}');
+  assert.throws(function () { Vertex.parseTemplate('{{> ping}}', {}); },
+    /Vertex\.template: recursive partial "ping"/);
+  /* the failed render leaves nothing behind: the tree still renders */
+  assert.strictEqual(Vertex.parseTemplate('{{> node}}', { name: 'x', child: null }), '<li>x</li>');
+});
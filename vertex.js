@@ -578,26 +578,80 @@ function (global) {
   /* ═══════════════════════════════════════════════════════════════════════════
      §2  FIBER RECONCILER  —  React clone
          Architecture: pomb.us  |  Hooks: useState, useReducer, useEffect,
-         useMemo, useCallback, useRef, useContext, useHash
+         useLayoutEffect, useInsertionEffect, useMemo, useCallback, useRef,
+         useImperativeHandle, useId, useContext, useErrorBoundary, useHash
   ═══════════════════════════════════════════════════════════════════════════ */
 
   /* Effect tags */
   var PLACEMENT = 'P';
   var UPDATE    = 'U';
   var DELETION  = 'D';
+  var MOVE      = 'M'; /* UPDATE whose DOM must also be relocated */
+  var HYDRATE   = 'H'; /* server-rendered node adopted in place     */
+
+  /* Element type for createPortal().  A portal fiber's dom is its target
+     container: children attach there, but the portal itself contributes no
+     node to its parent. */
+  var PORTAL = '#portal';
 
   /* Scheduler state */
-  var nextUnit       = null; /* next fiber unit of work             */
-  var wipRoot        = null; /* work-in-progress root               */
-  var curRoot        = null; /* last committed root                 */
-  var deletions      = [];   /* fibers to delete in next commit     */
+  var rootQueue      = [];   /* FiberRoots with a render queued     */
+  var workRoot       = null; /* root whose wip tree is rendering    */
   var wipFiber       = null; /* currently rendering function fiber  */
   var hookIdx        = 0;    /* hook cursor for current fiber       */
-  var pendingEffects = [];   /* effects deferred until after commit */
+  var pendingEffects = [];   /* passive effects, run after paint     */
+  var layoutEffects  = [];   /* layout effects of the current commit */
+  var passiveScheduled = false;
+
+  /* Vertex.config — dev: development checks and hydration warnings */
+  var config = { dev: false };
+
+  /* ── lanes ───────────────────────────────────────────────────────────────
+   *
+   * Every update carries a lane — a bit, lower is more urgent.  Sync covers
+   * discrete events (click, input, keydown …), flushSync and updates made
+   * by layout effects; it renders without yielding in a microtask.  Default
+   * is everything else; Transition marks startTransition updates.  Both go
+   * through ric() and yield between units.  A root renders its most urgent
+   * pending lane on its own: updates of other lanes stay queued in their
+   * hooks and are rebased onto the result later.  A more urgent update
+   * throws away a render in progress and restarts it; a less urgent one
+   * waits for the commit.
+   */
+  var SyncLane       = 1;
+  var DefaultLane    = 2;
+  var TransitionLane = 4;
+  var AllLanes       = 7;
+
+  var currentLane = 0; /* lane forced by flushSync / startTransition / events */
+
+  function requestLane() { return currentLane || DefaultLane; }
+
+  function withLane(lane, fn, arg) {
+    var prev = currentLane;
+    currentLane = lane;
+    try { return fn(arg); }
+    finally { currentLane = prev; }
+  }
+
+  var DISCRETE_EVENTS = {
+    click: 1, dblclick: 1, contextmenu: 1, auxclick: 1,
+    mousedown: 1, mouseup: 1, pointerdown: 1, pointerup: 1,
+    touchstart: 1, touchend: 1, keydown: 1, keyup: 1, keypress: 1,
+    input: 1, change: 1, beforeinput: 1, submit: 1, reset: 1,
+    focusin: 1, focusout: 1, focus: 1, blur: 1,
+    compositionstart: 1, compositionend: 1, copy: 1, cut: 1, paste: 1
+  };
 
   /* ── scheduler ─────────────────────────────────────────────────────────── */
 
-  var scheduled = false; /* dedup: at most one ric() in flight at a time */
+  var scheduled     = false; /* dedup: at most one ric() in flight at a time */
+  var syncScheduled = false; /* …and one microtask for Sync work            */
+  var committing    = false;
+
+  var queueMicro = typeof queueMicrotask === 'function'
+    ? function (fn) { queueMicrotask(fn); }
+    : function (fn) { Promise.resolve().then(fn); };
 
   function scheduleWork() {
     if (scheduled) return;
@@ -605,46 +659,372 @@ function (global) {
     ric(workLoop);
   }
 
+  function scheduleSync() {
+    if (syncScheduled) return;
+    syncScheduled = true;
+    queueMicro(performSyncWork);
+  }
+
+  /* Roots are worked one at a time, in the order their updates arrived.
+     A root that runs out of time keeps its place at the head of the queue
+     and resumes from its own nextUnit on the following slice. */
   function workLoop(deadline) {
     scheduled = false;
-    while (nextUnit && deadline.timeRemaining() > 1) {
-      nextUnit = performUnit(nextUnit);
+    while (rootQueue.length) {
+      var root = rootQueue[0];
+      if (!workOnRoot(root, deadline)) break;
+      if (!root.pendingLanes) rootQueue.shift();
+    }
+    if (rootQueue.length) scheduleWork();
+  }
+
+  /* Render and commit every root with Sync work, without yielding.  Layout
+     effects may queue more Sync work; it is handled in the same pass.  A
+     root committed more than NESTED_LIMIT times in one pass is updating
+     itself in a loop: its Sync work is dropped and the error goes to its
+     onError, while the other roots carry on. */
+  var NESTED_LIMIT = 50;
+  var syncPass     = 0;
+
+  function performSyncWork() {
+    syncScheduled = false;
+    if (workRoot || committing) return; /* picked up when they finish */
+    var pass = ++syncPass;
+    for (var i = 0; i < rootQueue.length; i++) {
+      var root = rootQueue[i];
+      if (!(root.pendingLanes & SyncLane)) continue;
+      if (root.syncPass !== pass) { root.syncPass = pass; root.syncCommits = 0; }
+      if (++root.syncCommits > NESTED_LIMIT) {
+        root.pendingLanes &= ~SyncLane;
+        reportError(root, new Error('Vertex: maximum update depth exceeded — a component ' +
+          'keeps updating in a layout effect or flushSync'), 'render');
+        continue;
+      }
+      workOnRoot(root, null);
+      i = -1; /* a commit may have queued Sync work on any root */
+    }
+    for (i = rootQueue.length - 1; i >= 0; i--) {
+      if (!rootQueue[i].pendingLanes) rootQueue.splice(i, 1);
+    }
+    if (rootQueue.length) scheduleWork();
+  }
+
+  /* Advance root's render: start one for its most urgent lane if none is in
+     progress, run units until deadline expires (never, for Sync or a null
+     deadline) and commit when done.  false: out of time. */
+  function workOnRoot(root, deadline) {
+    if (!root.wip) {
+      if (!root.pendingLanes) return true;
+      beginRender(root);
+      if (!root.wip) return true;
+    }
+    var sync = !deadline || root.renderLanes === SyncLane;
+    workRoot = root;
+    while (root.nextUnit && (sync || deadline.timeRemaining() > 1)) {
+      root.nextUnit = performUnit(root.nextUnit);
     }
-    if (!nextUnit && wipRoot) commitRoot();
-    if (nextUnit) scheduleWork();
+    workRoot = null;
+    if (root.nextUnit) return false;
+    if (root.wip) commitRoot(root); /* null: render was abandoned */
+    return true;
   }
 
   /* ── per-fiber work ─────────────────────────────────────────────────────── */
 
   function performUnit(fiber) {
-    if (typeof fiber.type === 'function') {
-      updateFunctionComponent(fiber);
-    } else {
-      updateHostComponent(fiber);
+    /* Deletions queued from here on belong to this fiber's subtree — a
+       boundary that swaps in a fallback discards them. */
+    fiber.delMark = workRoot.deletions.length;
+    if (workRoot.hydrating) {
+      var hp = nearestDom(fiber);
+      fiber.hydFrom = hp ? hp._vxHyd : undefined;
+    }
+    try {
+      if (fiber.type === SuspenseContent && fiber.props.hidden) {
+        keepHiddenContent(fiber);
+      } else if (canBailout(fiber)) {
+        bailoutFiber(fiber);
+      } else if (typeof fiber.type === 'function') {
+        if (profiling) profileRender(fiber);
+        else           updateFunctionComponent(fiber);
+      } else if (fiber.type === PORTAL) {
+        fiber.dom = fiber.props.container;
+        listenAll(fiber.dom);
+        reconcileChildren(fiber, fiber.props.children);
+      } else {
+        updateHostComponent(fiber);
+      }
+    } catch (thrown) {
+      if (thrown && typeof thrown.then === 'function') return suspendUnit(fiber, thrown);
+      return throwUnit(fiber, thrown);
     }
-    /* Depth-first: child → sibling → uncle */
-    if (fiber.child) return fiber.child;
+    fiber.dirty = fiber.childDirty = false;
+    /* Depth-first: child → sibling → uncle.  Reused children are skipped. */
+    if (fiber.child && !fiber.reusedChildren) return fiber.child;
+    return nextUnitAfter(fiber);
+  }
+
+  function nextUnitAfter(fiber) {
     var next = fiber;
     while (next) {
+      if (workRoot.hydrating) completeHydration(next);
       if (next.sibling) return next.sibling;
       next = next.parent;
     }
     return null;
   }
 
+  /* ── bailout ─────────────────────────────────────────────────────────────
+   *
+   * A fiber whose props are unchanged (same object, or equal according to a
+   * memo() comparator) and which has no pending hook update does not need to
+   * render.  If nothing below it is dirty either, its previous children are
+   * adopted as-is and the walk never enters them; otherwise its children are
+   * cloned one level down so the walk can reach the dirty fiber.  The net
+   * effect is that a setState only re-runs the component that owns the hook
+   * and whatever that component re-renders.
+   */
+  function canBailout(fiber) {
+    var old = fiber.alternate;
+    if (!old || fiber.dirty) return false;
+    if (fiber.props === old.props) return true;
+    var compare = typeof fiber.type === 'function' && fiber.type._vxCompare;
+    return !!compare && compare(old.props, fiber.props);
+  }
+
+  function bailoutFiber(fiber) {
+    var old = fiber.alternate;
+    if (typeof fiber.type === 'function') {
+      fiber.hooks         = old.hooks;
+      fiber.ctxDeps       = old.ctxDeps;
+      fiber.errorBoundary = old.errorBoundary;
+      fiber._hookKinds    = old._hookKinds;
+      fiber._idUsed       = old._idUsed;
+      /* Re-point stable hook cells so later dispatches mark this fiber */
+      for (var hi = 0; hi < fiber.hooks.length; hi++) {
+        if (fiber.hooks[hi] && fiber.hooks[hi]._cell) fiber.hooks[hi]._cell.fiber = fiber;
+      }
+      /* A bailed-out Provider still layers its value over the (possibly new)
+         parent map */
+      if (fiber.type._vxCtxId !== undefined) {
+        fiber.contextMap = Object.assign({}, fiber.contextMap);
+        fiber.contextMap[fiber.type._vxCtxId] = fiber.props.value;
+      }
+    }
+    if (!fiber.childDirty) {
+      fiber.child = old.child;
+      for (var c = fiber.child; c; c = c.sibling) c.parent = fiber;
+      fiber.reusedChildren = true;
+      return;
+    }
+    var prev = null;
+    for (var oc = old.child; oc; oc = oc.sibling) {
+      var clone = cloneFiber(oc, fiber, oc.props, null);
+      if (prev) prev.sibling = clone;
+      else      fiber.child  = clone;
+      prev = clone;
+    }
+  }
+
+  /* New wip fiber for the same component instance as old.  The pair point at
+     each other so a dispatch can flag whichever one is current. */
+  function cloneFiber(old, parent, props, effectTag) {
+    var fiber = {
+      type: old.type, props: props, dom: old.dom,
+      parent: parent, contextMap: parent.contextMap || null,
+      alternate: old, effectTag: effectTag, hooks: [],
+      dirty: old.dirty, childDirty: old.childDirty
+    };
+    old.alternate = fiber;
+    return fiber;
+  }
+
+  /* Flag fiber for re-render and every ancestor as having a dirty descendant */
+  function markDirty(fiber) {
+    fiber.dirty = true;
+    if (fiber.alternate) fiber.alternate.dirty = true;
+    for (var p = fiber.parent; p; p = p.parent) {
+      p.childDirty = true;
+      if (p.alternate) p.alternate.childDirty = true;
+    }
+  }
+
+  /*
+   * propagateContextChange(provider, id)
+   *
+   * Bailed-out subtrees never re-read context, so when a Provider's value
+   * changes every fiber below it that called useContext for that context is
+   * flagged dirty.  Fibers that will be adopted without rendering get their
+   * contextMap rebuilt in the same walk.  Nested Providers of the same
+   * context shadow it, so their subtrees are not entered.
+   */
+  function propagateContextChange(provider, id) {
+    var value = provider.contextMap[id];
+    var maps  = [];  /* [oldMap, newMap] pairs — one copy per distinct map */
+    var stack = [];
+    for (var c = provider.alternate.child; c; c = c.sibling) stack.push(c);
+    while (stack.length) {
+      var f = stack.pop();
+      if (f.contextMap) {
+        var copy = null;
+        for (var mi = 0; mi < maps.length; mi++) {
+          if (maps[mi][0] === f.contextMap) { copy = maps[mi][1]; break; }
+        }
+        if (!copy) {
+          copy = Object.assign({}, f.contextMap);
+          copy[id] = value;
+          maps.push([f.contextMap, copy]);
+        }
+        f.contextMap = copy;
+      }
+      if (f.ctxDeps && f.ctxDeps[id]) markDirty(f);
+      if (f.type && f.type._vxCtxId === id) continue;
+      for (var ch = f.child; ch; ch = ch.sibling) stack.push(ch);
+    }
+  }
+
+  /*
+   * suspendUnit(fiber, thenable)
+   *
+   * fiber threw a thenable while rendering (Suspense protocol, see lazy()).
+   * The nearest Suspense ancestor throws away the children it was building,
+   * reconciles its fallback next to the content it last committed — kept
+   * mounted but hidden, see keepHiddenContent — and wakes itself up to retry
+   * once every thenable it is waiting on has settled.  With no boundary the
+   * whole render is abandoned — the committed UI stays up — and the root is
+   * re-rendered when the thenable settles.
+   */
+  function suspendUnit(fiber, thenable) {
+    var b = fiber.parent;
+    while (b && b.type !== Suspense) b = b.parent;
+    var root = workRoot;
+
+    if (!b) {
+      var props = root.wip.props;
+      abandonRender(root);
+      root.suspendedProps = props;
+      var retryRoot = function () {
+        if (root.suspendedProps !== props) return; /* superseded by a newer render */
+        scheduleRoot(root, props, DefaultLane);
+      };
+      thenable.then(retryRoot, retryRoot);
+      return null;
+    }
+
+    var boundary = b.hooks[0].ref.current; /* Suspense keeps its state in hook 0 */
+    boundary.suspended = true;
+    if (boundary.pending.indexOf(thenable) < 0) {
+      boundary.pending.push(thenable);
+      var settle = function () {
+        var i = boundary.pending.indexOf(thenable);
+        if (i > -1) boundary.pending.splice(i, 1);
+        if (boundary.pending.length) return;
+        boundary.suspended = false;
+        boundary.retry(function (n) { return n + 1; });
+      };
+      thenable.then(settle, settle);
+    }
+
+    root.deletions.length = b.delMark;
+    if (root.hydrating) rewindHydration(b);
+    b.reusedChildren = false;
+    reconcileChildren(b, flattenChildren(suspenseChildren(b.props, true)));
+    b.dirty = b.childDirty = false;
+    return b.child || nextUnitAfter(b);
+  }
+
+  /* A hidden SuspenseContent adopts its committed children without
+     rendering them, so the state, effects and DOM of content that suspended
+     during an update survive until the boundary retries.  On mount there is
+     nothing to keep and the fallback shows alone. */
+  function keepHiddenContent(fiber) {
+    var old = fiber.alternate;
+    fiber.child = old ? old.child : null;
+    for (var c = fiber.child; c; c = c.sibling) c.parent = fiber;
+    fiber.reusedChildren = true;
+  }
+
+  /*
+   * throwUnit(fiber, error)
+   *
+   * fiber threw while rendering.  The nearest error boundary above it (a
+   * component that called useErrorBoundary and is not already showing its
+   * fallback) drops the deletions its subtree queued and is rendered again
+   * with the error, so it returns fallback UI in this same pass.  With no
+   * boundary the render is abandoned — the committed UI stays up and keeps
+   * responding — and the error goes to the root's onError.
+   */
+  function throwUnit(fiber, error) {
+    var root = workRoot;
+    var b    = findErrorBoundary(fiber);
+    if (!b) {
+      abandonRender(root);
+      reportError(root, error, 'render');
+      return null;
+    }
+    root.deletions.length = b.delMark;
+    if (root.hydrating) rewindHydration(b);
+    b.caught = { error: error };
+    b.dirty  = true; /* must render, not bail out, on the retry */
+    return b;
+  }
+
+  function findErrorBoundary(fiber) {
+    var b = fiber.parent;
+    while (b && !b.errorBoundary) b = b.parent;
+    return b;
+  }
+
+  /* Error thrown by an effect or effect cleanup of fiber, after commit.  The
+     boundary re-renders with the error on the next pass. */
+  function captureCommitError(fiber, error, phase) {
+    var b = findErrorBoundary(fiber);
+    if (!b) { reportError(rootOf(fiber), error, phase); return; }
+    var cell = b.errorBoundary;
+    cell.error = error;
+    if (typeof cell.onError === 'function') cell.onError(error);
+    scheduleFiberUpdate(cell.fiber);
+  }
+
+  /* Uncaught errors go to render(..., { onError }); without a handler they
+     are re-thrown from a fresh task so the scheduler itself is unaffected. */
+  function reportError(root, error, phase) {
+    if (root && typeof root.onError === 'function') {
+      root.onError(error, { phase: phase });
+    } else {
+      setTimeout(function () { throw error; }, 0);
+    }
+  }
+
   function updateFunctionComponent(fiber) {
     wipFiber = fiber;
     hookIdx  = 0;
     wipFiber.hooks        = [];
+    wipFiber._pendingEffects = null; /* a boundary re-render starts over */
     wipFiber._ctxProvide  = null; /* cleared; Provider component may set this */
+    wipFiber.ctxDeps      = null; /* contexts read this render, by ctx._id */
+    wipFiber.errorBoundary = null; /* set again if useErrorBoundary is called */
+    wipFiber._hookKinds    = null; /* dev: hook kinds by call order */
 
-    var output   = fiber.type(fiber.props);
+    var output;
+    try {
+      output = fiber.type(fiber.props);
+    } finally {
+      wipFiber = null; /* a hook called later is outside any render */
+    }
+    if (config.dev) checkHookCount(fiber);
 
     /* If the component was a Provider it will have tagged _ctxProvide.
        Build the new contextMap by layering its values over the parent's map.
        Children reconciled below will inherit this updated map. */
     if (fiber._ctxProvide) {
       fiber.contextMap = Object.assign({}, fiber.contextMap, fiber._ctxProvide);
+      var oldMap = fiber.alternate && fiber.alternate.contextMap;
+      if (oldMap) {
+        for (var cid in fiber._ctxProvide) {
+          if (oldMap[cid] !== fiber._ctxProvide[cid]) propagateContextChange(fiber, cid);
+        }
+      }
       fiber._ctxProvide = null;
     }
 
@@ -654,7 +1034,7 @@ function (global) {
   }
 
   function updateHostComponent(fiber) {
-    if (!fiber.dom) fiber.dom = createDom(fiber);
+    if (!fiber.dom) fiber.dom = (workRoot.hydrating && claimDom(fiber)) || createDom(fiber);
     reconcileChildren(fiber, fiber.props.children || []);
   }
 
@@ -673,582 +1053,3149 @@ function (global) {
     return result;
   }
 
-  /* ── DOM helpers ─────────────────────────────────────────────────────────── */
-
-  function createDom(fiber) {
-    var dom = fiber.type === 'TEXT_ELEMENT'
-      ? document.createTextNode('')
-      : document.createElement(fiber.type);
-    patchDom(dom, {}, fiber.props);
-    /* Wire ref immediately for newly-created DOM nodes */
-    if (fiber.props && fiber.props.ref && fiber.props.ref !== null &&
-        typeof fiber.props.ref === 'object') {
-      fiber.props.ref.current = dom;
+  /* ── development checks ──────────────────────────────────────────────────
+   *
+   * With config.dev set: hooks called outside a render throw, a hook whose
+   * kind or count differs from the previous render of the same component is
+   * reported, as are array children without keys, duplicate keys, unknown
+   * DOM props and state updates on unmounted components.  Warnings end with
+   * a component stack built from the fiber parent chain.
+   */
+  function devWarn(msg, fiber) {
+    if (config.dev && typeof console !== 'undefined') {
+      console.warn('Vertex: ' + msg + componentStack(fiber));
     }
-    return dom;
   }
 
-  /* 'on' prefix check without a function call — hot path */
-  function isEventProp(k) {
-    return k.charCodeAt(0) === 111 && k.charCodeAt(1) === 110 && k.length > 2;
+  function typeName(type) {
+    if (typeof type === 'function') return type.displayName || type.name || 'Anonymous';
+    if (type === PORTAL) return 'Portal';
+    return String(type);
   }
 
-  /* Exclude 'ref' — it's handled in commitWork, not as a DOM property */
-  function isRealProp(k) { return k !== 'children' && k !== 'ref' && !isEventProp(k); }
+  function componentStack(fiber) {
+    var out = '';
+    for (var f = fiber; f && f.type; f = f.parent) {
+      if (f.type !== 'TEXT_ELEMENT') out += '\n    in ' + typeName(f.type);
+    }
+    return out;
+  }
 
-  /**
-   * setStableListener — attach a proxy listener once; on updates just swap
-   * the target function in place.  Eliminates removeEventListener /
-   * addEventListener churn on every re-render (the single biggest DOM cost
-   * for lists with inline callbacks).
-   */
-  function setStableListener(dom, evName, fn) {
-    if (!dom._vxev) dom._vxev = {};
-    if (evName in dom._vxev) {
-      dom._vxev[evName] = fn;           /* update target — proxy stays attached */
-    } else {
-      dom._vxev[evName] = fn;
-      /* IIFE captures evName so the closure is correct in loops */
-      (function (name) {
-        dom.addEventListener(name, function (e) {
-          if (dom._vxev[name]) dom._vxev[name](e);
-        });
-      }(evName));
+  var HOOK_NAMES = { layout: 'useLayoutEffect', insertion: 'useInsertionEffect' };
+
+  /* Called by every hook that takes a slot, before it reads the slot */
+  function checkHook(kind) {
+    if (!wipFiber) {
+      throw new Error('Vertex: ' + kind + ' was called outside a component render. ' +
+        'Hooks can only be called at the top level of a function component.');
+    }
+    var kinds = wipFiber._hookKinds || (wipFiber._hookKinds = []);
+    var old   = wipFiber.alternate && wipFiber.alternate._hookKinds;
+    kinds[hookIdx] = kind;
+    if (old && old[hookIdx] && old[hookIdx] !== kind) {
+      devWarn('hook order changed in ' + typeName(wipFiber.type) + ': call ' + (hookIdx + 1) +
+        ' was ' + old[hookIdx] + ', now ' + kind + '. Hooks must run in the same order ' +
+        'on every render — not inside conditions, loops or early returns.', wipFiber);
     }
   }
 
-  function patchDom(dom, prev, next) {
-    var k;
-    /* Pass 1 — remove stale non-event props; null out dropped event targets */
-    for (k in prev) {
-      if (!isRealProp(k)) {
-        if (isEventProp(k)) {
-          if (!(k in next) && dom._vxev) dom._vxev[k.slice(2).toLowerCase()] = null;
-        }
-        continue;
-      }
-      if (!(k in next)) {
-        if      (k === 'className') dom.className    = '';
-        else if (k === 'style')     dom.style.cssText = '';
-        else                         dom[k]           = '';
-      }
+  /* After a component rendered: did it call as many hooks as last time? */
+  function checkHookCount(fiber) {
+    var old = fiber.alternate && fiber.alternate._hookKinds;
+    var now = fiber._hookKinds ? fiber._hookKinds.length : 0;
+    if (old && old.length !== now && !fiber.caught) {
+      devWarn(typeName(fiber.type) + ' rendered ' + (now > old.length ? 'more' : 'fewer') +
+        ' hooks than during the previous render (' + old.length + ' → ' + now + ').', fiber);
     }
-    /* Pass 2 — apply new / changed props; install or update event targets */
-    for (k in next) {
-      if (!isRealProp(k)) {
-        if (isEventProp(k)) {
-          setStableListener(dom, k.slice(2).toLowerCase(), next[k]);
-        }
-        continue;
+  }
+
+  /* Elements passed to createElement in an array are a list: each needs a key */
+  function checkKeys(arr) {
+    for (var i = 0; i < arr.length; i++) {
+      var el = arr[i];
+      if (Array.isArray(el)) { checkKeys(el); continue; }
+      if (el && typeof el === 'object' && (!el.props || el.props.key == null)) {
+        devWarn('each element in an array needs a unique "key" prop (<' +
+          typeName(el.type) + '> at index ' + i + ' has none).', wipFiber);
+        return; /* once per array */
       }
-      if (prev[k] === next[k]) continue;
-      if      (k === 'className')                            dom.className = next[k];
-      else if (k === 'style' && typeof next[k] === 'object') Object.assign(dom.style, next[k]);
-      else                                                    dom[k] = next[k];
     }
   }
 
-  /* ── reconciliation ──────────────────────────────────────────────────────── */
-
-  function reconcileChildren(fiber, elements) {
-    /* Build lookup structures from old children in one pass */
-    var oldFiber = fiber.alternate && fiber.alternate.child;
-    var keyMap   = null;   /* key  → oldFiber (keyed children)    */
-    var byPos    = [];     /* index → oldFiber (unkeyed children)  */
-    var scan     = oldFiber;
-    while (scan) {
-      var sk = scan.props && scan.props.key;
-      if (sk != null) {
-        if (!keyMap) keyMap = {};
-        keyMap[String(sk)] = scan;
-      } else {
-        byPos.push(scan);
+  var warnedProps = {};
+
+  /* A prop on an HTML element that is neither a DOM property nor a valid
+     attribute name as written — 'class', 'tabindex', 'onclick'… */
+  function checkDomProp(dom, k, fiber) {
+    var tag = dom.localName;
+    if (dom instanceof TestNode || tag.indexOf('-') > -1 || k.indexOf('-') > -1 || k in dom || FORCE_ATTR[k] ||
+        k === 'style' || k === 'dangerouslySetInnerHTML' || warnedProps[tag + ' ' + k]) return;
+    var lower = k.toLowerCase(), hint = '';
+    if (lower === 'class') hint = 'className';
+    else if (lower === 'for') hint = 'htmlFor';
+    else {
+      for (var p in dom) {
+        if (p.toLowerCase() === lower) { hint = p; break; }
       }
-      scan = scan.sibling;
     }
+    warnedProps[tag + ' ' + k] = true;
+    devWarn('unknown DOM prop "' + k + '" on <' + tag + '>' +
+      (hint ? '; did you mean "' + hint + '"?' : '; it is set as an attribute.'), fiber);
+  }
 
-    var posIdx = 0;
-    var prev   = null;
+  /* ── devtools ────────────────────────────────────────────────────────────
+   *
+   * global.__VERTEX_DEVTOOLS_HOOK__ is the meeting point for tools: an
+   * extension may install its own before vertex.js loads, otherwise a
+   * minimal one is created.  Each copy of Vertex injects its inspector as a
+   * renderer, and every commit is reported through
+   * hook.onCommitRoot(rendererId, root, profile) — root.current is the
+   * committed fiber tree.  The same inspector is Vertex.devtools.
+   */
+  function DevtoolsHook() {
+    this.renderers  = {};
+    this._nextId    = 1;
+    this._listeners = {};
+  }
 
-    for (var i = 0; i < elements.length; i++) {
-      var el    = elements[i];
-      var elKey = el && el.props && el.props.key;
-      var old   = null;
+  DevtoolsHook.prototype = {
+    constructor: DevtoolsHook,
 
-      if (elKey != null) {
-        /* Keyed: O(1) hash lookup */
-        var sKey = String(elKey);
-        if (keyMap && keyMap[sKey]) { old = keyMap[sKey]; delete keyMap[sKey]; }
-      } else {
-        /* Unkeyed: consume next positional old fiber */
-        old = byPos[posIdx++] || null;
-      }
+    inject: function (renderer) {
+      var id = this._nextId++;
+      this.renderers[id] = renderer;
+      this.emit('renderer', { id: id, renderer: renderer });
+      return id;
+    },
 
-      var sameType = old && el && old.type === el.type;
-      var newFiber;
+    /* on('commit' | 'renderer', fn) → unsubscribe */
+    on: function (event, fn) {
+      var list = this._listeners[event] || (this._listeners[event] = []);
+      list.push(fn);
+      return function () {
+        var i = list.indexOf(fn);
+        if (i > -1) list.splice(i, 1);
+      };
+    },
 
-      if (sameType) {
-        newFiber = {
-          type: old.type, props: el.props, dom: old.dom,
-          parent: fiber, contextMap: fiber.contextMap || null,
-          alternate: old, effectTag: UPDATE, hooks: []
-        };
-      } else {
-        if (old) { old.effectTag = DELETION; deletions.push(old); }
-        newFiber = {
-          type: el.type, props: el.props, dom: null,
-          parent: fiber, contextMap: fiber.contextMap || null,
-          alternate: null, effectTag: PLACEMENT, hooks: []
-        };
-      }
+    emit: function (event, data) {
+      var list = (this._listeners[event] || []).slice();
+      for (var i = 0; i < list.length; i++) list[i](data);
+    },
 
-      if (i === 0)  fiber.child   = newFiber;
-      else if (prev) prev.sibling = newFiber;
-      prev = newFiber;
+    onCommitRoot: function (rendererId, root, profile) {
+      this.emit('commit', { renderer: rendererId, root: root, profile: profile });
     }
+  };
 
-    /* Delete remaining unkeyed old fibers (list shrank) */
-    for (; posIdx < byPos.length; posIdx++) {
-      byPos[posIdx].effectTag = DELETION;
-      deletions.push(byPos[posIdx]);
-    }
-    /* Delete remaining keyed old fibers (keys disappeared) */
-    if (keyMap) {
-      for (var mk in keyMap) {
-        keyMap[mk].effectTag = DELETION;
-        deletions.push(keyMap[mk]);
+  var now = global.performance && typeof global.performance.now === 'function'
+    ? function () { return global.performance.now(); }
+    : Date.now;
+
+  var mountedRoots  = [];    /* FiberRoots with a committed tree        */
+  var profiling     = false; /* component render times are being timed */
+  var profileLog    = [];    /* commit records since startProfiling()  */
+  var contextsById  = {};    /* ctx._id → ctx, for names and defaults  */
+  var devtoolsId    = 0;
+  var devtoolsHook  = null;
+  var highlightBoxes = [];
+
+  function basicStateReducer(state, action) {
+    return typeof action === 'function' ? action(state) : action;
+  }
+
+  /* Timed updateFunctionComponent, used while profiling */
+  function profileRender(fiber) {
+    var start = now();
+    updateFunctionComponent(fiber);
+    if (workRoot.profile) workRoot.profile.push({ fiber: fiber, duration: now() - start });
+  }
+
+  /* Called at the end of every commit */
+  function devtoolsCommit(root, commitStart) {
+    var i = mountedRoots.indexOf(root);
+    if (root.current && i < 0) mountedRoots.push(root);
+    if (!root.current && i > -1) mountedRoots.splice(i, 1);
+
+    var record = null;
+    if (profiling && root.profile) {
+      var renders = [], total = 0;
+      for (var r = 0; r < root.profile.length; r++) {
+        var p = root.profile[r];
+        renders.push({ id: fiberId(p.fiber), name: fiberName(p.fiber), duration: p.duration });
+        total += p.duration;
       }
+      record = {
+        root:           root,
+        timestamp:      commitStart,
+        renderDuration: total,
+        commitDuration: now() - commitStart,
+        renders:        renders
+      };
+      profileLog.push(record);
+    }
+    root.profile = null;
+    if (devtoolsHook && typeof devtoolsHook.onCommitRoot === 'function') {
+      devtoolsHook.onCommitRoot(devtoolsId, root, record);
     }
-
-    if (prev) prev.sibling = null;
   }
 
-  /* ── commit phase ─────────────────────────────────────────────────────────── */
+  /* One id per component instance, carried over from the alternate */
+  var lastFiberId = 0;
+  function fiberId(fiber) {
+    return fiber._devId ||
+      (fiber._devId = (fiber.alternate && fiber.alternate._devId) || ++lastFiberId);
+  }
 
-  /* Walk up from fiber.parent to find the nearest ancestor with a real DOM node */
-  function nearestDom(fiber) {
-    var f = fiber.parent;
-    while (f && !f.dom) f = f.parent;
-    return f ? f.dom : null;
+  function contextName(id) {
+    var ctx = contextsById[id];
+    return (ctx && ctx.displayName) || 'Context' + id;
   }
 
-  /* Move any effects accumulated on a fiber into the global pending list */
-  function flushFiberEffects(fiber) {
-    if (!fiber._pendingEffects) return;
-    for (var _ei = 0; _ei < fiber._pendingEffects.length; _ei++) {
-      pendingEffects.push(fiber._pendingEffects[_ei]);
+  function fiberName(fiber) {
+    if (fiber.type && fiber.type._vxCtxId !== undefined) {
+      return contextName(fiber.type._vxCtxId) + '.Provider';
     }
-    delete fiber._pendingEffects;
+    return typeName(fiber.type);
+  }
+
+  /* Every hook records the name it was called by as hook.name; the value
+     shown depends on its layout — see the hooks below */
+  function describeHook(hook) {
+    var name  = hook.name;
+    var value = hook._boundary ? hook._boundary.error
+      : hook.fx                ? hook.deps
+      : 'state' in hook        ? hook.state
+      : name === 'useId'       ? hook.id
+      : name === 'useRef'      ? hook.ref.current
+      : hook.value;  /* useMemo, useCallback, useSyncExternalStore */
+    return { label: name, value: value };
   }
 
-  function commitRoot() {
-    /* Deletions need their own parent-DOM lookup since they may be detached */
-    deletions.forEach(function (f) { commitWork(f, nearestDom(f)); });
-    if (wipRoot.child) commitWork(wipRoot.child, wipRoot.dom);
-    curRoot = wipRoot;
-    wipRoot = null;
+  /* Committed trees of one root (FiberRoot or container) or of all roots */
+  function rootsOf(target) {
+    if (!target) return mountedRoots.slice();
+    var root = target instanceof FiberRoot ? target : target._vxRoot;
+    return root && root.current ? [root] : [];
+  }
 
-    /* Run all queued effects now that the DOM is fully updated */
-    var toRun = pendingEffects.splice(0);
-    for (var _ri = 0; _ri < toRun.length; _ri++) {
-      var item = toRun[_ri];
-      if (typeof item.oldCleanup === 'function') item.oldCleanup();
-      var cleanup = item.effect();
-      item.hook.cleanup = typeof cleanup === 'function' ? cleanup : null;
+  /* Visit every committed fiber, depth-first in document order */
+  function walkCommitted(target, visit) {
+    var roots = rootsOf(target);
+    for (var ri = 0; ri < roots.length; ri++) {
+      var stack = [{ f: roots[ri].current.child, depth: 0 }];
+      while (stack.length) {
+        var frame = stack.pop();
+        var f = frame.f;
+        if (!f) continue;
+        if (f.sibling) stack.push({ f: f.sibling, depth: frame.depth });
+        var isComponent = typeof f.type === 'function';
+        if (visit(f, frame.depth, isComponent) === false) return;
+        stack.push({ f: f.child, depth: frame.depth + (isComponent ? 1 : 0) });
+      }
     }
   }
 
   /*
-   * commitWork(startFiber, startParentDom)
-   *
-   * Iterative pre-order walk using an explicit stack.  Avoids call-stack
-   * overflow on deep trees.  parentDom is carried per-frame so host vs
-   * function-component fibers thread correctly without any upward walks.
+   * inspect([rootOrContainer]) → [{ id, name, key, depth, props, hooks, context }]
    *
-   * Stack frames: { fiber, parentDom }
-   * Sibling pushed before child so child is popped (processed) first.
+   * Function components of the committed tree in document order.  hooks is
+   * [{ label, value }] in call order; context maps the name of each context
+   * the component reads to the value it currently sees.
    */
-  function commitWork(startFiber, startParentDom) {
-    var stack = [{ f: startFiber, p: startParentDom }];
-    while (stack.length) {
-      var frame     = stack.pop();
-      var fiber     = frame.f;
-      var parentDom = frame.p;
-      if (!fiber) continue;
-
-      if (fiber.effectTag === PLACEMENT && fiber.dom && parentDom) {
-        parentDom.appendChild(fiber.dom);
-      } else if (fiber.effectTag === UPDATE && fiber.dom) {
-        patchDom(fiber.dom, fiber.alternate.props, fiber.props);
-        /* Re-wire ref on update in case the ref object itself changed */
-        if (fiber.props && fiber.props.ref && typeof fiber.props.ref === 'object') {
-          fiber.props.ref.current = fiber.dom;
-        }
-      } else if (fiber.effectTag === DELETION) {
-        commitDeletion(fiber, parentDom);
-        flushFiberEffects(fiber);
-        continue; /* deleted subtree fully handled by commitDeletion */
+  function inspect(target) {
+    var out = [];
+    walkCommitted(target, function (f, depth, isComponent) {
+      if (!isComponent) return;
+      var hooks = [], context = {};
+      for (var hi = 0; f.hooks && hi < f.hooks.length; hi++) {
+        if (f.hooks[hi]) hooks.push(describeHook(f.hooks[hi]));
       }
-
-      flushFiberEffects(fiber);
-
-      /* Children of a host fiber attach to fiber.dom;
-         children of a function fiber inherit parentDom unchanged */
-      var childParent = fiber.dom || parentDom;
-      /* Push sibling first — LIFO means child is processed before sibling */
-      if (fiber.sibling) stack.push({ f: fiber.sibling, p: parentDom  });
-      if (fiber.child)   stack.push({ f: fiber.child,   p: childParent });
-    }
+      for (var id in f.ctxDeps) {
+        context[contextName(id)] = f.contextMap && id in f.contextMap
+          ? f.contextMap[id]
+          : contextsById[id] && contextsById[id]._defaultValue;
+      }
+      out.push({
+        id:      fiberId(f),
+        name:    fiberName(f),
+        key:     f.props && f.props.key != null ? f.props.key : null,
+        depth:   depth,
+        props:   f.props,
+        hooks:   hooks,
+        context: context
+      });
+    });
+    return out;
   }
 
-  function commitDeletion(fiber, parentDom) {
-    removeFiberDom(fiber, parentDom);
-    cleanupEffectTree(fiber);
+  function findFiber(id) {
+    var found = null;
+    walkCommitted(null, function (f) {
+      if (fiberId(f) === id) { found = f; return false; }
+    });
+    return found;
   }
 
-  /* Walk down the first-child chain to find and remove the first real DOM node */
-  function removeFiberDom(fiber, parentDom) {
-    var f = fiber;
-    while (f) {
-      if (f.dom) {
-        if (parentDom) parentDom.removeChild(f.dom);
-        return;
-      }
-      f = f.child;
+  /* highlight(id, [ms]) — outline a component's DOM nodes for ms
+     (default 1500; 0 keeps them until the next call).  → the nodes */
+  function highlight(id, ms) {
+    for (var i = 0; i < highlightBoxes.length; i++) {
+      if (highlightBoxes[i].parentNode) highlightBoxes[i].parentNode.removeChild(highlightBoxes[i]);
+    }
+    highlightBoxes = [];
+    var fiber = findFiber(id);
+    var nodes = fiber ? hostNodesOf(fiber) : [];
+    var boxes = [];
+    for (var n = 0; n < nodes.length; n++) {
+      var node = nodes[n];
+      if (node.nodeType !== 1 || !node.getBoundingClientRect) continue;
+      var doc  = node.ownerDocument;
+      var rect = node.getBoundingClientRect();
+      var box  = doc.createElement('div');
+      box.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;' +
+        'background:rgba(97,175,239,.25);outline:1px solid rgb(97,175,239);' +
+        'left:' + rect.left + 'px;top:' + rect.top + 'px;' +
+        'width:' + rect.width + 'px;height:' + rect.height + 'px';
+      doc.body.appendChild(box);
+      boxes.push(box);
     }
+    highlightBoxes = boxes;
+    if (ms !== 0 && boxes.length) {
+      setTimeout(function () {
+        for (var b = 0; b < boxes.length; b++) {
+          if (boxes[b].parentNode) boxes[b].parentNode.removeChild(boxes[b]);
+        }
+      }, ms || 1500);
+    }
+    return nodes;
   }
 
-  /* Walk down the first-child chain, running effect cleanups at each level.
-     Siblings are NOT followed — each sibling deletion is a separate entry
-     in the deletions array and will be visited by commitRoot independently. */
-  function cleanupEffectTree(fiber) {
-    var f = fiber;
-    while (f) {
-      var hooks = f.hooks;
-      if (hooks) {
-        for (var hi = 0; hi < hooks.length; hi++) {
-          if (hooks[hi] && typeof hooks[hi].cleanup === 'function') {
-            hooks[hi].cleanup();
+  var devtools = {
+    roots:   function () { return mountedRoots.slice(); },
+    inspect: inspect,
+    highlight: highlight,
+
+    /* Times every component render until stopProfiling() */
+    startProfiling: function () {
+      profiling  = true;
+      profileLog = [];
+    },
+
+    /* → [{ root, timestamp, renderDuration, commitDuration,
+            renders: [{ id, name, duration }] }], one per commit */
+    stopProfiling: function () {
+      profiling = false;
+      return profileLog.splice(0);
+    }
+  };
+
+  if (typeof global === 'object' && global) {
+    devtoolsHook = global.__VERTEX_DEVTOOLS_HOOK__ ||
+      (global.__VERTEX_DEVTOOLS_HOOK__ = new DevtoolsHook());
+    if (typeof devtoolsHook.inject === 'function') devtoolsId = devtoolsHook.inject(devtools);
+  }
+
+  /* ── DOM helpers ─────────────────────────────────────────────────────────── */
+
+  var SVG_NS   = 'http://www.w3.org/2000/svg';
+  var MATH_NS  = 'http://www.w3.org/1998/Math/MathML';
+
+  /* Namespaced attribute prefixes — xlink:href, xml:lang, xmlns:xlink */
+  var ATTR_NS = {
+    xlink: 'http://www.w3.org/1999/xlink',
+    xml:   'http://www.w3.org/XML/1998/namespace',
+    xmlns: 'http://www.w3.org/2000/xmlns/'
+  };
+
+  /*
+   * hostNamespace(fiber) → namespace URI for a new element, or null (HTML)
+   *
+   * <svg> and <math> open their namespace; otherwise the element inherits
+   * the namespace of the nearest ancestor DOM node (host, portal target or
+   * root container), except below <foreignObject> / <annotation-xml>, which
+   * switch back to HTML.
+   */
+  function hostNamespace(fiber) {
+    if (fiber.type === 'svg')  return SVG_NS;
+    if (fiber.type === 'math') return MATH_NS;
+    var p = fiber.parent;
+    while (p && !p.dom) p = p.parent;
+    var pd = p && p.dom;
+    if (!pd) return null;
+    if (pd.namespaceURI === SVG_NS  && pd.localName !== 'foreignObject')  return SVG_NS;
+    if (pd.namespaceURI === MATH_NS && pd.localName !== 'annotation-xml') return MATH_NS;
+    return null;
+  }
+
+  function createDom(fiber) {
+    /* The container's document: a real one, or Vertex.test's in-memory host */
+    var pd  = nearestDom(fiber);
+    var doc = (pd && pd.ownerDocument) || document;
+    var ns  = fiber.type === 'TEXT_ELEMENT' ? null : hostNamespace(fiber);
+    var dom = fiber.type === 'TEXT_ELEMENT'
+      ? doc.createTextNode('')
+      : (ns ? doc.createElementNS(ns, fiber.type) : doc.createElement(fiber.type));
+    patchDom(dom, {}, fiber.props, fiber);
+    return dom;
+  }
+
+  /* 'on' prefix check without a function call — hot path */
+  function isEventProp(k) {
+    return k.charCodeAt(0) === 111 && k.charCodeAt(1) === 110 && k.length > 2;
+  }
+
+  /* Exclude 'ref' — it's handled in commitWork, not as a DOM property —
+     and 'key', which only the reconciler reads */
+  function isRealProp(k) { return k !== 'children' && k !== 'ref' && k !== 'key' && !isEventProp(k); }
+
+  /* ── events ──────────────────────────────────────────────────────────────
+   *
+   * Handlers are not attached to the elements that declare them.  Each
+   * element keeps its handlers in dom._vxev, keyed by native event name
+   * ('click', or 'click capture' for onClickCapture), and one listener per
+   * event name and phase sits on each root container and portal container,
+   * whatever handlers the tree holds.  A native event is dispatched
+   * through the fiber tree from its target up, so a portal's events reach
+   * the components that rendered it, and stopPropagation() stops at
+   * component boundaries rather than DOM ones.  Handlers receive a
+   * SyntheticEvent wrapping the native one.
+   *
+   * Prop names follow React: onDoubleClick is dblclick, onFocus / onBlur are
+   * the bubbling focusin / focusout, and onChange on a text input or
+   * textarea fires on every input — on a checkbox or radio, on the click
+   * that toggles it.  Events that do not bubble (mouseenter,
+   * scroll, load, media events…), names Vertex does not know (custom
+   * element events) and handlers given as { handler, passive } listen on the
+   * element itself.  Delegated touchstart, touchmove and wheel listeners
+   * are passive.
+   */
+  var DELEGATED = {
+    click: 1, dblclick: 1, contextmenu: 1, auxclick: 1,
+    mousedown: 1, mouseup: 1, mousemove: 1, mouseover: 1, mouseout: 1,
+    pointerdown: 1, pointerup: 1, pointermove: 1, pointerover: 1, pointerout: 1,
+    pointercancel: 1, gotpointercapture: 1, lostpointercapture: 1,
+    touchstart: 1, touchend: 1, touchmove: 1, touchcancel: 1,
+    keydown: 1, keyup: 1, keypress: 1,
+    input: 1, change: 1, beforeinput: 1, select: 1, submit: 1, reset: 1,
+    focusin: 1, focusout: 1,
+    compositionstart: 1, compositionupdate: 1, compositionend: 1,
+    copy: 1, cut: 1, paste: 1,
+    drag: 1, dragstart: 1, dragend: 1, dragenter: 1, dragleave: 1, dragover: 1, drop: 1,
+    wheel: 1, animationstart: 1, animationend: 1, animationiteration: 1, transitionend: 1
+  };
+  var PASSIVE_EVENTS = { touchstart: 1, touchmove: 1, wheel: 1, scroll: 1 };
+  var EVENT_ALIAS    = { doubleclick: 'dblclick', focus: 'focusin', blur: 'focusout' };
+  /* What onChange listens to on an <input>, by type; others use input */
+  var CHANGE_EVENTS  = {
+    checkbox: 'click', radio: 'click',
+    file: 'change', submit: 'change', reset: 'change', button: 'change', image: 'change'
+  };
+
+  /* onClickCapture → { name: 'click', capture: true, key: 'click capture' }.
+     tag and type (an <input>'s) decide what onChange listens to. */
+  function eventInfo(k, tag, type) {
+    var name    = k.slice(2).toLowerCase();
+    var capture = false;
+    if (/capture$/.test(name) && name !== 'gotpointercapture' && name !== 'lostpointercapture') {
+      capture = true;
+      name    = name.slice(0, -7);
+    }
+    name = EVENT_ALIAS[name] || name;
+    if (name === 'change' && tag === 'textarea') name = 'input';
+    if (name === 'change' && tag === 'input') {
+      name = CHANGE_EVENTS[String(type || 'text').toLowerCase()] || 'input';
+    }
+    return { name: name, capture: capture, key: capture ? name + ' capture' : name };
+  }
+
+  /* Install or replace the handler for event prop k; null removes it */
+  function setEventProp(dom, k, value, props) {
+    var info    = eventInfo(k, dom.localName, props && props.type);
+    var options = value && typeof value === 'object' ? value : null;
+    var fn      = options ? options.handler : value;
+    var ev      = dom._vxev  || (dom._vxev  = {});
+    var own     = dom._vxown || (dom._vxown = {});
+    if (DELEGATED[info.name] && !options) {
+      ev[info.key]  = fn;
+      own[info.key] = null;
+    } else {
+      own[info.key] = fn;
+      ev[info.key] = null;
+      if (fn) listenOn(dom, info, options && 'passive' in options ? !!options.passive : PASSIVE_EVENTS[info.name]);
+    }
+  }
+
+  /* Delegated listeners for a root or portal container, installed once */
+  function listenAll(container) {
+    if (container._vxListen) return;
+    container._vxListen = true;
+    for (var name in DELEGATED) {
+      listenAt(container, name, false);
+      listenAt(container, name, true);
+    }
+  }
+
+  function listenAt(container, name, capture) {
+    var key = capture ? name + ' capture' : name;
+    container.addEventListener(name, function (native) {
+      dispatchEvent(container, key, capture, native);
+    }, PASSIVE_EVENTS[name] ? { capture: capture, passive: true } : capture);
+  }
+
+  /* An element-level listener; options are fixed by the first handler */
+  function listenOn(dom, info, passive) {
+    var own = dom._vxown;
+    if (own['#' + info.key]) return;
+    own['#' + info.key] = true;
+    var lane = DISCRETE_EVENTS[info.name] ? SyncLane : DefaultLane;
+    dom.addEventListener(info.name, function (native) {
+      var fn = own[info.key];
+      if (!fn) return;
+      var ev = new SyntheticEvent(native);
+      ev.currentTarget = dom;
+      withLane(lane, fn, ev);
+      if (RESTORE_EVENTS[info.name]) restoreControlled(native.target);
+    }, passive ? { capture: info.capture, passive: true } : info.capture);
+  }
+
+  /*
+   * dispatchEvent(container, key, capture, native)
+   *
+   * Every root with an element between the target and container handles
+   * the event once per phase, however many of its containers the event
+   * passes: innermost root first while bubbling, outermost first while
+   * capturing, as their containers would be reached natively.
+   */
+  function dispatchEvent(container, key, capture, native) {
+    var done  = native._vxDone || (native._vxDone = {});
+    var seen  = done[key] || (done[key] = []);
+    var found = [];
+    for (var node = native.target; node && node !== container; node = node.parentNode) {
+      var fiber = node._vxFiber;
+      var root  = fiber && rootOf(fiber);
+      if (!root || seen.indexOf(root) > -1) continue;
+      seen.push(root);
+      found.push(fiber);
+    }
+    if (!found.length) return;
+    if (capture) found.reverse();
+    var ev = new SyntheticEvent(native);
+    for (var i = 0; i < found.length && !ev._stopped; i++) {
+      runListeners(eventPath(found[i], key), key, ev, capture);
+    }
+    if (!capture && RESTORE_EVENTS[native.type]) restoreControlled(native.target);
+  }
+
+  /* Elements from fiber up to its root with a handler for key, innermost
+     first.  Fiber parents, not DOM parents: portals bubble to their owner. */
+  function eventPath(fiber, key) {
+    var path = [];
+    for (var f = fiber; f && f.parent; f = f.parent) {
+      var ev = f.type !== PORTAL && f.dom && f.dom._vxev;
+      if (ev && ev[key]) path.push(f.dom);
+    }
+    return path;
+  }
+
+  /* → number of handlers called */
+  function runListeners(path, key, ev, capture) {
+    var lane  = DISCRETE_EVENTS[ev.type] ? SyncLane : DefaultLane;
+    var calls = 0;
+    for (var n = 0; n < path.length && !ev._stopped; n++) {
+      var dom = path[capture ? path.length - 1 - n : n];
+      var fn  = dom._vxev[key];
+      if (!fn) continue;
+      ev.currentTarget = dom;
+      ev.eventPhase    = dom === ev.target ? 2 : capture ? 1 : 3;
+      withLane(lane, fn, ev);
+      calls++;
+    }
+    return calls;
+  }
+
+  /* The native event's fields, copied; methods act on the native event */
+  function SyntheticEvent(native) {
+    for (var k in native) {
+      if (typeof native[k] !== 'function') this[k] = native[k];
+    }
+    this.nativeEvent      = native;
+    this.defaultPrevented = !!native.defaultPrevented;
+    this._stopped         = false;
+  }
+
+  SyntheticEvent.prototype = {
+    constructor: SyntheticEvent,
+
+    preventDefault: function () {
+      this.defaultPrevented = true;
+      if (this.nativeEvent.preventDefault) this.nativeEvent.preventDefault();
+    },
+    stopPropagation: function () {
+      this._stopped = true;
+      if (this.nativeEvent.stopPropagation) this.nativeEvent.stopPropagation();
+    },
+    stopImmediatePropagation: function () {
+      this._stopped = true;
+      if (this.nativeEvent.stopImmediatePropagation) this.nativeEvent.stopImmediatePropagation();
+    },
+    isDefaultPrevented:   function () { return this.defaultPrevented; },
+    isPropagationStopped: function () { return this._stopped; },
+    getModifierState:     function (k) { return this.nativeEvent.getModifierState(k); },
+    composedPath:         function () { return this.nativeEvent.composedPath(); },
+    persist:              function () {}
+  };
+
+  /* SVG and MathML elements take attributes, not DOM properties */
+  function isForeign(dom) {
+    return dom.namespaceURI === SVG_NS || dom.namespaceURI === MATH_NS;
+  }
+
+  /* Prop name → attribute name on a foreign element.  Names are used as
+     written ('viewBox', 'stroke-width', 'xlink:href'); className / htmlFor
+     and the camelCase xlinkHref / xmlLang / xmlnsXlink forms are mapped. */
+  function foreignAttrName(k) {
+    if (k === 'className') return 'class';
+    if (k === 'htmlFor')   return 'for';
+    return k.replace(/^(xlink|xmlns|xml)([A-Z])/, function (_, pre, c) {
+      return pre + ':' + c.toLowerCase();
+    });
+  }
+
+  /* Set or (for null / false) remove an attribute on a foreign element,
+     through the *NS methods when the name carries a known prefix */
+  function setForeignAttr(dom, k, value) {
+    var name  = foreignAttrName(k);
+    var colon = name.indexOf(':');
+    var ns    = colon > 0 ? ATTR_NS[name.slice(0, colon)] : null;
+    if (value == null || value === false) {
+      if (ns) dom.removeAttributeNS(ns, name.slice(colon + 1));
+      else    dom.removeAttribute(name);
+    } else if (ns) {
+      dom.setAttributeNS(ns, name, String(value));
+    } else {
+      dom.setAttribute(name, String(value));
+    }
+  }
+
+  /* ── HTML attributes & properties ─────────────────────────────────────────
+   *
+   * A prop that names a DOM property is assigned as one (value, checked,
+   * className, htmlFor, tabIndex …), so booleans and live state behave.
+   * Everything else — data-* / aria-* / hyphenated custom attributes, and
+   * names in FORCE_ATTR whose properties are read-only or lossy — is written
+   * with setAttribute.  null / undefined remove the prop either way; false
+   * removes an attribute except on literal ones, where booleans are written
+   * as the strings "true" / "false".  true on a plain attribute renders it
+   * as a boolean attribute.
+   */
+  var FORCE_ATTR = { role: 1, list: 1, form: 1, width: 1, height: 1, popover: 1 };
+  var ATTR_ALIAS = { className: 'class', htmlFor: 'for' };
+
+  /* Enumerated attributes take "true" / "false" — absent means the browser
+     default, not false.  Keyed by lower-case name. */
+  var ENUM_ATTR = { draggable: 1, spellcheck: 1, contenteditable: 1 };
+
+  /* data-*, aria-* and enumerated attributes keep booleans as strings */
+  function literalAttr(k) {
+    return /^(aria|data)-/.test(k) || ENUM_ATTR[k.toLowerCase()] === 1;
+  }
+
+  function setHtmlProp(dom, k, value) {
+    var literal = literalAttr(k);
+    if (k.indexOf('-') < 0 && !FORCE_ATTR[k] && !literal && k in dom) {
+      try { dom[k] = value == null ? '' : value; } catch (_) { /* read-only property */ }
+      if (value == null || value === false) dom.removeAttribute(ATTR_ALIAS[k] || k);
+      return;
+    }
+    var name    = ATTR_ALIAS[k] || k;
+    if (value == null || (value === false && !literal)) dom.removeAttribute(name);
+    else dom.setAttribute(name, value === true && !literal ? '' : String(value));
+  }
+
+  /* Keyed style diff: keys missing from next are unset.  Hyphenated keys
+     (CSS custom properties, kebab-case) go through setProperty. */
+  function patchStyle(dom, prev, next) {
+    var st = dom.style, k;
+    if (!next || typeof next !== 'object') { st.cssText = next || ''; return; }
+    if (!prev || typeof prev !== 'object') { st.cssText = ''; prev = {}; }
+    for (k in prev) {
+      if (!(k in next)) setStyle(st, k, '');
+    }
+    for (k in next) {
+      if (next[k] !== prev[k]) setStyle(st, k, next[k]);
+    }
+  }
+
+  function setStyle(st, k, v) {
+    if (v == null || v === false) v = '';
+    if (k.indexOf('-') > -1) st.setProperty(k, String(v));
+    else                     st[k] = v;
+  }
+
+  function patchDom(dom, prev, next, fiber) {
+    var k;
+    if (dom.nodeType === 3) {
+      if (prev.nodeValue !== next.nodeValue) dom.nodeValue = next.nodeValue;
+      return;
+    }
+    var foreign = isForeign(dom);
+    var form    = !foreign && FORM_TAGS[dom.localName] ? dom.localName : null;
+    /* Pass 1 — remove stale non-event props; null out dropped event targets */
+    for (k in prev) {
+      if (!isRealProp(k)) {
+        /* A changed input type can move onChange to another event */
+        if (isEventProp(k) && (!(k in next) || prev.type !== next.type)) {
+          setEventProp(dom, k, null, prev);
+        }
+        continue;
+      }
+      if (form && isFormProp(form, k)) continue;
+      if (!(k in next)) {
+        if      (k === 'style')                   dom.style.cssText = '';
+        else if (k === 'dangerouslySetInnerHTML') dom.innerHTML     = '';
+        else if (foreign)                         setForeignAttr(dom, k, null);
+        else                                      setHtmlProp(dom, k, null);
+      }
+    }
+    /* Pass 2 — apply new / changed props; install or update event targets */
+    for (k in next) {
+      if (!isRealProp(k)) {
+        if (isEventProp(k)) {
+          if (config.dev && next[k] != null && typeof next[k] !== 'function' &&
+              typeof next[k].handler !== 'function') {
+            devWarn(k + ' on <' + dom.localName + '> must be a function or ' +
+              '{ handler, passive }, got ' + typeof next[k] + '.', fiber);
           }
+          setEventProp(dom, k, next[k], next);
         }
+        continue;
+      }
+      if (prev[k] === next[k] || (form && isFormProp(form, k))) continue;
+      if (k === 'style') {
+        patchStyle(dom, prev[k], next[k]);
+      } else if (k === 'dangerouslySetInnerHTML') {
+        var html = next[k] && next[k].__html;
+        if (!prev[k] || prev[k].__html !== html) dom.innerHTML = html == null ? '' : html;
+      } else if (foreign) {
+        setForeignAttr(dom, k, next[k]);
+      } else {
+        if (config.dev) checkDomProp(dom, k, fiber);
+        setHtmlProp(dom, k, next[k]);
       }
-      f = f.child;
     }
+    /* Last, so type, min, max … are in place; a select waits for its options */
+    if (form && form !== 'select') syncForm(dom, next);
   }
 
-  /* ── trigger re-render ───────────────────────────────────────────────────── */
+  /* ── form controls ───────────────────────────────────────────────────────
+   *
+   * An <input>, <textarea> or <select> with a value prop — or a checkbox or
+   * radio with checked — is controlled: the DOM is brought back to the prop
+   * after every commit, whether or not the prop changed, and after every
+   * input, change or click event on it, once the updates its handlers made
+   * have been rendered.  A change the state rejects is undone.  Without
+   * those props the element is uncontrolled; defaultValue and
+   * defaultChecked only set its initial state.  A <select>'s value (an array
+   * with multiple) is applied once its options are in place.
+   */
+  var FORM_TAGS      = { input: 1, textarea: 1, select: 1 };
+  var RESTORE_EVENTS = { input: 1, change: 1, click: 1 };
 
-  function scheduleUpdate() {
-    if (!curRoot) return;
-    wipRoot   = { dom: curRoot.dom, props: curRoot.props, alternate: curRoot };
-    nextUnit  = wipRoot;
-    deletions = [];
-    scheduleWork();
+  /* Props patchDom leaves to syncForm / syncSelect */
+  function isFormProp(tag, k) {
+    return k === 'value' || k === 'checked' || (tag === 'select' && k === 'defaultValue');
   }
 
-  /* ── public createElement / render ──────────────────────────────────────── */
+  function isControlled(dom, props) {
+    return props.value != null || (dom.localName === 'input' && props.checked != null);
+  }
 
-  /* Push items from arr into out, recursing into nested arrays, skipping nullish */
-  function flatPush(out, arr) {
-    for (var _i = 0; _i < arr.length; _i++) {
-      var _c = arr[_i];
-      if (_c === null || _c === undefined || _c === false) continue;
-      if (Array.isArray(_c)) { flatPush(out, _c); continue; }
-      out.push(typeof _c === 'object' ? _c : createTextElement(String(_c)));
+  function syncForm(dom, props) {
+    if (props.value != null) {
+      var value = String(props.value);
+      if (dom.value !== value) dom.value = value;
     }
+    if (props.checked != null && dom.checked !== !!props.checked) dom.checked = !!props.checked;
   }
 
-  function createElement(type, props) {
-    var children = [];
-    for (var _a = 2; _a < arguments.length; _a++) {
-      var _ch = arguments[_a];
-      if (_ch === null || _ch === undefined || _ch === false) continue;
-      if (Array.isArray(_ch)) { flatPush(children, _ch); continue; }
-      children.push(typeof _ch === 'object' ? _ch : createTextElement(String(_ch)));
+  function syncSelect(dom, props) {
+    var value = props.value != null ? props.value : dom._vxInit ? null : props.defaultValue;
+    dom._vxInit = true;
+    if (value == null || !dom.options) return;
+    var wanted = {};
+    var list   = props.multiple ? [].concat(value) : [value];
+    for (var i = 0; i < list.length; i++) wanted['$' + list[i]] = true;
+    for (var o = 0; o < dom.options.length; o++) {
+      var opt = dom.options[o];
+      var on  = !!wanted['$' + opt.value];
+      if (opt.selected !== on) opt.selected = on;
+      if (on && !props.multiple) return;
     }
-    return { type: type, props: Object.assign({}, props, { children: children }) };
   }
 
-  function createTextElement(text) {
-    return { type: 'TEXT_ELEMENT', props: { nodeValue: text, children: [] } };
+  /* After an event on a controlled element: render what its handlers
+     queued, then put the DOM back in line with the committed props.  A
+     radio takes its group with it. */
+  function restoreControlled(target) {
+    var fiber = target && target._vxFiber;
+    if (!fiber || !FORM_TAGS[target.localName] || committing || workRoot) return;
+    if (!isControlled(target, fiber.props)) return;
+    performSyncWork();
+    var group = [target];
+    if (target.type === 'radio' && target.name) {
+      var scope  = target.form || target.ownerDocument;
+      var inputs = scope.getElementsByTagName('input');
+      for (var i = 0; i < inputs.length; i++) {
+        if (inputs[i] !== target && inputs[i].type === 'radio' && inputs[i].name === target.name) {
+          group.push(inputs[i]);
+        }
+      }
+    }
+    for (var g = 0; g < group.length; g++) {
+      var f = group[g]._vxFiber;
+      if (!f) continue;
+      if (f.type === 'select') syncSelect(group[g], f.props);
+      else if (isControlled(group[g], f.props)) syncForm(group[g], f.props);
+    }
+  }
+
+  /* ── reconciliation ──────────────────────────────────────────────────────── */
+
+  function reconcileChildren(fiber, elements) {
+    /* Build lookup structures from old children in one pass */
+    var oldFiber = fiber.alternate && fiber.alternate.child;
+    var keyMap   = null;   /* key  → oldFiber (keyed children)    */
+    var byPos    = [];     /* index → oldFiber (unkeyed children)  */
+    var scan     = oldFiber;
+    var oldCount = 0;
+    var dupes    = null;   /* old fibers sharing a key with an earlier one */
+    var seenKeys = config.dev ? {} : null;
+    while (scan) {
+      scan.index = oldCount++;   /* old position, read back by the move pass */
+      var sk = scan.props && scan.props.key;
+      if (sk != null) {
+        if (!keyMap) keyMap = {};
+        /* A repeated key can't be matched; its fiber is simply deleted */
+        if (keyMap[String(sk)]) (dupes = dupes || []).push(scan);
+        else keyMap[String(sk)] = scan;
+      } else {
+        byPos.push(scan);
+      }
+      scan = scan.sibling;
+    }
+
+    var posIdx  = 0;
+    var prev    = null;
+    var matched = [];     /* reused fibers, in new order             */
+    var lastOld = -1;
+    var moved   = false;  /* any reused fiber out of its old order?  */
+
+    for (var i = 0; i < elements.length; i++) {
+      var el    = elements[i];
+      var elKey = el && el.props && el.props.key;
+      var old   = null;
+
+      if (elKey != null) {
+        /* Keyed: O(1) hash lookup */
+        var sKey = String(elKey);
+        if (seenKeys) {
+          if (seenKeys[sKey]) {
+            devWarn('duplicate key "' + sKey + '" among the children of ' +
+              typeName(fiber.type || 'root') + '; keys must be unique among siblings.', fiber);
+          }
+          seenKeys[sKey] = true;
+        }
+        if (keyMap && keyMap[sKey]) { old = keyMap[sKey]; delete keyMap[sKey]; }
+      } else {
+        /* Unkeyed: consume next positional old fiber */
+        old = byPos[posIdx++] || null;
+      }
+
+      /* A portal retargeted at another container is remounted there */
+      var sameType = old && el && old.type === el.type &&
+        (el.type !== PORTAL || old.props.container === el.props.container);
+      var newFiber;
+
+      if (sameType) {
+        newFiber = cloneFiber(old, fiber, el.props, UPDATE);
+        matched.push(newFiber);
+        if (old.index < lastOld) moved = true;
+        lastOld = old.index;
+      } else {
+        if (old) { old.effectTag = DELETION; workRoot.deletions.push(old); }
+        newFiber = {
+          type: el.type, props: el.props, dom: null,
+          parent: fiber, contextMap: fiber.contextMap || null,
+          alternate: null, effectTag: PLACEMENT, hooks: []
+        };
+      }
+
+      newFiber.index  = i;
+      newFiber.forked = elements.length > 1; /* for useId */
+      if (i === 0)  fiber.child   = newFiber;
+      else if (prev) prev.sibling = newFiber;
+      prev = newFiber;
+    }
+    if (!prev) fiber.child = null;
+
+    if (moved) markMoves(matched);
+
+    for (var di = 0; dupes && di < dupes.length; di++) {
+      dupes[di].effectTag = DELETION;
+      workRoot.deletions.push(dupes[di]);
+    }
+    /* Delete remaining unkeyed old fibers (list shrank) */
+    for (; posIdx < byPos.length; posIdx++) {
+      byPos[posIdx].effectTag = DELETION;
+      workRoot.deletions.push(byPos[posIdx]);
+    }
+    /* Delete remaining keyed old fibers (keys disappeared) */
+    if (keyMap) {
+      for (var mk in keyMap) {
+        keyMap[mk].effectTag = DELETION;
+        workRoot.deletions.push(keyMap[mk]);
+      }
+    }
+
+    if (prev) prev.sibling = null;
   }
 
-  function render(element, container) {
-    wipRoot   = { dom: container, props: { children: [element] }, alternate: curRoot };
-    nextUnit  = wipRoot;
-    deletions = [];
-    scheduleWork();
+  /*
+   * markMoves(matched)
+   *
+   * matched holds the reused fibers in their new order; each one's alternate
+   * remembers its old position.  The longest run of old positions that is
+   * already increasing can stay where it is in the DOM — every other fiber
+   * is tagged MOVE, which is the fewest relocations that yield the new order.
+   * Standard patience-sort LIS, O(n log n).
+   */
+  function markMoves(matched) {
+    var n     = matched.length;
+    var tails = [];           /* tails[k] → matched index ending the best run of length k+1 */
+    var prevI = new Array(n); /* predecessor in that run                                   */
+    for (var i = 0; i < n; i++) {
+      var v  = matched[i].alternate.index;
+      var lo = 0, hi = tails.length;
+      while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        if (matched[tails[mid]].alternate.index < v) lo = mid + 1;
+        else hi = mid;
+      }
+      prevI[i]  = lo > 0 ? tails[lo - 1] : -1;
+      tails[lo] = i;
+    }
+    var stay = {};
+    for (var k = tails[tails.length - 1]; k >= 0; k = prevI[k]) stay[k] = true;
+    for (var j = 0; j < n; j++) {
+      if (!stay[j]) matched[j].effectTag = MOVE;
+    }
   }
 
-  /* ── hooks ───────────────────────────────────────────────────────────────── */
+  /* ── commit phase ─────────────────────────────────────────────────────────── */
 
-  function useState(initial) {
-    return useReducer(
-      function (state, action) {
-        return typeof action === 'function' ? action(state) : action;
-      },
-      typeof initial === 'function' ? initial() : initial
-    );
+  /* Walk up from fiber.parent to find the nearest ancestor with a real DOM node */
+  function nearestDom(fiber) {
+    var f = fiber.parent;
+    while (f && !f.dom) f = f.parent;
+    return f ? f.dom : null;
   }
 
-  function useReducer(reducer, initial) {
-    var oldHook = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+  /*
+   * getHostSibling(fiber)
+   *
+   * The DOM node that fiber's own nodes must be inserted before: the first
+   * host node after fiber in tree order that is already in position, found
+   * by walking right through siblings (descending into function components)
+   * and climbing out of function-component parents.  Fibers tagged
+   * PLACEMENT or MOVE are skipped — they are committed later in the walk and
+   * are not yet where they belong.  null means append.
+   */
+  function getHostSibling(fiber) {
+    var node = fiber;
+    search: while (true) {
+      while (!node.sibling) {
+        if (!node.parent || node.parent.dom) return null;
+        node = node.parent;
+      }
+      node = node.sibling;
+      while (!node.dom || node.type === PORTAL) {
+        if (node.effectTag === PLACEMENT || node.effectTag === MOVE ||
+            node.type === PORTAL || !node.child) continue search;
+        node = node.child;
+      }
+      if (node.effectTag !== PLACEMENT && node.effectTag !== MOVE) return node.dom;
+    }
+  }
 
-    /* The "cell" is a stable object that survives across renders.
-       It holds the pending action queue and the dispatch function so
-       dispatch has a stable identity — passing it as a prop won't
-       trigger unnecessary child re-renders. */
-    var cell = oldHook ? oldHook._cell : { queue: [] };
+  /* Insert fiber's top-level DOM nodes (itself, or a function component's
+     host children) into parentDom before the anchor, preserving order. */
+  function placeFiber(fiber, parentDom, before) {
+    if (fiber.type === PORTAL) return;
+    if (fiber.dom) { parentDom.insertBefore(fiber.dom, before); return; }
+    for (var c = fiber.child; c; c = c.sibling) placeFiber(c, parentDom, before);
+  }
 
-    var state = oldHook
-      ? oldHook.state
-      : (typeof initial === 'function' ? initial() : initial);
+  /* Move any effects accumulated on a fiber into the layout / passive
+     lists, and drop the actions its reducer hooks folded in from their
+     queues.  Called as the commit walk leaves the fiber, so children's
+     effects are queued before their parent's. */
+  function flushFiberEffects(fiber) {
+    var hooks = fiber.hooks;
+    if (hooks) {
+      for (var _hi = 0; _hi < hooks.length; _hi++) {
+        var h = hooks[_hi];
+        if (h && h.applied) { h._cell.queue.splice(0, h.applied); h.applied = 0; }
+        if (h && h.rebased) {
+          /* Committed once, so no later render may leave them out */
+          for (var _ui = 0; _ui < h.rebased.length; _ui++) h.rebased[_ui].lane = AllLanes;
+          h.rebased = null;
+        }
+      }
+    }
+    if (!fiber._pendingEffects) return;
+    for (var _ei = 0; _ei < fiber._pendingEffects.length; _ei++) {
+      var item = fiber._pendingEffects[_ei];
+      if      (item.kind === 'layout')    layoutEffects.push(item);
+      else if (item.kind !== 'insertion') pendingEffects.push(item);
+    }
+    delete fiber._pendingEffects;
+  }
 
-    /* Drain all actions queued since the last render */
-    for (var _qi = 0; _qi < cell.queue.length; _qi++) {
-      state = reducer(state, cell.queue[_qi]);
+  /* Insertion effects run as the commit walk enters the fiber, before any
+     DOM below it is inserted or patched — the place to inject <style>. */
+  function runInsertionEffects(fiber) {
+    var list = fiber._pendingEffects, batch = [];
+    if (!list) return;
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].kind === 'insertion') batch.push(list[i]);
+    }
+    if (batch.length) runEffects(batch);
+  }
+
+  /* Every cleanup in a batch runs before any of its effects, so no effect
+     sees another's stale subscription.  Cleanups live in the hook's stable
+     fx cell, which survives re-renders that happen before the effect runs. */
+  function runEffects(list) {
+    var i, item, cleanup;
+    for (i = 0; i < list.length; i++) {
+      item    = list[i];
+      cleanup = item.fx.cleanup;
+      item.fx.cleanup = null;
+      if (typeof cleanup !== 'function') continue;
+      try { cleanup(); }
+      catch (err) { captureCommitError(item.fiber, err, 'cleanup'); }
+    }
+    for (i = 0; i < list.length; i++) {
+      item = list[i];
+      try {
+        cleanup = item.effect();
+        item.fx.cleanup = typeof cleanup === 'function' ? cleanup : null;
+      } catch (err) {
+        captureCommitError(item.fiber, err, 'effect');
+      }
+    }
+  }
+
+  /* Passive effects left over from the previous commit run before anything
+     else is committed, so effects always observe commits in order. */
+  function flushPassiveEffects() {
+    passiveScheduled = false;
+    if (pendingEffects.length) runEffects(pendingEffects.splice(0));
+  }
+
+  function commitRoot(root) {
+    var wipRoot     = root.wip;
+    var commitStart = profiling ? now() : 0;
+    committing = true; /* flushSync from an effect waits for the microtask */
+    try {
+      /* Deletions need their own parent-DOM lookup since they may be detached */
+      root.deletions.forEach(function (f) { commitWork(f, nearestDom(f)); });
+      if (wipRoot.child) commitWork(wipRoot.child, wipRoot.dom);
+      if (wipRoot.hydLeftover) removeLeftover(wipRoot);
+      root.hydrating = false;
+      root.current   = wipRoot;
+      root.wip       = null;
+      root.deletions = [];
+      root.pendingLanes &= ~root.renderLanes;
+      if (root.pendingProps === wipRoot.props) root.pendingProps = null;
+      /* Fibers that skipped updates of other lanes render again for them */
+      for (var li = 0; li < root.leftover.length; li++) markDirty(root.leftover[li].fiber);
+      root.leftover = [];
+
+      if (root.unmounted) {
+        root.current = null;
+        if (root.dom._vxRoot === root) delete root.dom._vxRoot;
+      }
+
+      /* Layout effects run now, with the DOM updated but not yet painted;
+         passive effects get a task of their own.  A throwing effect is routed
+         to its error boundary; the rest still run. */
+      withLane(SyncLane, runEffects, layoutEffects.splice(0));
+    } finally {
+      committing = false;
+    }
+    devtoolsCommit(root, commitStart);
+    if (pendingEffects.length && !passiveScheduled) {
+      passiveScheduled = true;
+      setTimeout(flushPassiveEffects, 0);
+    }
+  }
+
+  /*
+   * commitWork(startFiber, startParentDom)
+   *
+   * Iterative walk using an explicit stack.  Avoids call-stack overflow on
+   * deep trees.  parentDom is carried per-frame so host vs
+   * function-component fibers thread correctly without any upward walks.
+   * DOM work happens on the way down; effects are queued on the way back
+   * up (an exit frame), children before parents.
+   *
+   * Stack frames: { fiber, parentDom, exit }
+   * Sibling pushed before child so child is popped (processed) first.
+   */
+  function commitWork(startFiber, startParentDom) {
+    var stack = [{ f: startFiber, p: startParentDom }];
+    while (stack.length) {
+      var frame     = stack.pop();
+      var fiber     = frame.f;
+      var parentDom = frame.p;
+      if (!fiber) continue;
+      if (frame.exit) {
+        /* Options are committed by now */
+        if (fiber.type === 'select' && fiber.dom) syncSelect(fiber.dom, fiber.props);
+        flushFiberEffects(fiber);
+        continue;
+      }
+
+      runInsertionEffects(fiber);
+
+      /* Tags are consumed as they are committed, so fibers adopted by a
+         later bailout never replay them (or confuse getHostSibling). */
+      var tag = fiber.effectTag;
+      fiber.effectTag = null;
+
+      var isPortal = fiber.type === PORTAL;
+      if (tag === PLACEMENT && fiber.dom && parentDom && !isPortal) {
+        parentDom.insertBefore(fiber.dom, getHostSibling(fiber));
+      } else if (tag === MOVE && parentDom) {
+        placeFiber(fiber, parentDom, getHostSibling(fiber));
+      } else if (tag === HYDRATE) {
+        hydrateDom(fiber);
+      }
+      if (fiber.hydLeftover) removeLeftover(fiber);
+      if (fiber.dom && !isPortal) fiber.dom._vxFiber = fiber; /* event dispatch starts here */
+      if ((tag === UPDATE || tag === MOVE) && fiber.dom && !isPortal) {
+        patchDom(fiber.dom, fiber.alternate.props, fiber.props, fiber);
+      } else if (tag === DELETION) {
+        commitDeletion(fiber, parentDom);
+        flushFiberEffects(fiber);
+        continue; /* deleted subtree fully handled by commitDeletion */
+      }
+      if (fiber.dom && typeof fiber.type === 'string') commitRef(fiber, tag);
+      if (fiber.type === SuspenseContent) commitVisibility(fiber);
+
+      /* Children of a host fiber attach to fiber.dom;
+         children of a function fiber inherit parentDom unchanged */
+      var childParent = fiber.dom || parentDom;
+      /* Push sibling first — LIFO means child is processed before sibling.
+         Adopted children were committed in an earlier pass; skip them. */
+      if (fiber.sibling) stack.push({ f: fiber.sibling, p: parentDom  });
+      stack.push({ f: fiber, exit: true });
+      if (fiber.child && !fiber.reusedChildren) stack.push({ f: fiber.child, p: childParent });
+    }
+  }
+
+  /* Attach a host fiber's ref once its node is in place: on mount, and on
+     update when the ref itself changed — the old one is given null first */
+  function commitRef(fiber, tag) {
+    var ref      = fiber.props.ref;
+    var mounting = tag === PLACEMENT || tag === HYDRATE;
+    var old      = mounting ? null : fiber.alternate && fiber.alternate.props.ref;
+    if (!mounting && old === ref) return;
+    if (old) setRef(old, null, fiber);
+    if (ref) setRef(ref, fiber.dom, fiber);
+  }
+
+  /* Object refs get .current; callback refs are called */
+  function setRef(ref, value, fiber) {
+    try {
+      if (typeof ref === 'function') ref(value);
+      else if (ref && typeof ref === 'object') ref.current = value;
+    } catch (err) {
+      captureCommitError(fiber, err, 'ref');
+    }
+  }
+
+  /* Hide the top-level nodes of Suspense content when its fallback comes up
+     and restore them when it goes away.  Text nodes are blanked, since they
+     have no style.  Only nodes hidden here are restored — ones placed by
+     this commit keep the display their props gave them. */
+  function commitVisibility(fiber) {
+    var hidden = !!fiber.props.hidden;
+    var was    = !!(fiber.alternate && fiber.alternate.props.hidden);
+    if (hidden === was) return;
+    hostNodesOf(fiber).forEach(function (node) {
+      var text = node.nodeType === 3;
+      if (hidden) {
+        node._vxShown = text ? node.nodeValue : node.style.display || '';
+        if (text) node.nodeValue = '';
+        else      node.style.display = 'none';
+      } else if (node._vxShown !== undefined) {
+        if (text) node.nodeValue = node._vxShown;
+        else      node.style.display = node._vxShown;
+        node._vxShown = undefined;
+      }
+    });
+  }
+
+  /* Top-level DOM nodes of a component: its host children, portals excluded */
+  function hostNodesOf(fiber) {
+    if (fiber.type === PORTAL) return [];
+    if (fiber.dom) return [fiber.dom];
+    var nodes = [];
+    for (var c = fiber.child; c; c = c.sibling) nodes = nodes.concat(hostNodesOf(c));
+    return nodes;
+  }
+
+  function commitDeletion(fiber, parentDom) {
+    removeFiberDom(fiber, parentDom);
+    cleanupEffectTree(fiber);
+  }
+
+  /*
+   * removeFiberDom(fiber, parentDom)
+   *
+   * Detach every top-level DOM node of a deleted subtree: the fiber's own
+   * node, or each host child of a function component.  Nodes below a removed
+   * host node leave with it, but the walk still visits them to find portals,
+   * whose children live in another container and are removed from there.
+   */
+  function removeFiberDom(fiber, parentDom) {
+    var stack = [{ f: fiber, p: parentDom, detach: true }];
+    while (stack.length) {
+      var frame  = stack.pop();
+      var f      = frame.f;
+      var p      = frame.p;
+      var detach = frame.detach;
+      if (f.type === PORTAL) {
+        p = f.dom; detach = true;
+      } else if (f.dom) {
+        if (detach && p && f.dom.parentNode === p) p.removeChild(f.dom);
+        p = f.dom; detach = false;
+      }
+      for (var c = f.child; c; c = c.sibling) stack.push({ f: c, p: p, detach: detach });
+    }
+  }
+
+  /* Run effect cleanups for every fiber in a deleted subtree, portals
+     included, children before parents and each fiber's hooks in order;
+     host refs are set to null on the way.
+     Each sibling deletion is a separate entry in the deletions array, so
+     the walk never leaves fiber's own subtree. */
+  function cleanupEffectTree(fiber) {
+    /* Right-to-left pre-order, reversed: left-to-right post-order */
+    var stack = [fiber], order = [], c;
+    while (stack.length) {
+      var f = stack.pop();
+      order.push(f);
+      for (c = f.child; c; c = c.sibling) stack.push(c);
+    }
+    for (var oi = order.length - 1; oi >= 0; oi--) {
+      /* Late dispatches are dropped — hook cells may point at either copy */
+      order[oi].unmounted = true;
+      if (order[oi].alternate) order[oi].alternate.unmounted = true;
+      if (typeof order[oi].type === 'string' && order[oi].props.ref) {
+        setRef(order[oi].props.ref, null, fiber);
+      }
+      var hooks = order[oi].hooks;
+      for (var hi = 0; hooks && hi < hooks.length; hi++) {
+        var fx = hooks[hi] && hooks[hi].fx;
+        if (!fx || typeof fx.cleanup !== 'function') continue;
+        var cleanup = fx.cleanup;
+        fx.cleanup = null;
+        /* Boundaries inside the deleted subtree are going away too, so
+           errors are reported from the deletion root upwards */
+        try { cleanup(); }
+        catch (err) { captureCommitError(fiber, err, 'cleanup'); }
+      }
+    }
+  }
+
+  /* ── trigger re-render ───────────────────────────────────────────────────── */
+
+  /* Walk up to the root fiber and return the FiberRoot that owns it */
+  function rootOf(fiber) {
+    var f = fiber;
+    while (f.parent) f = f.parent;
+    return f.root || null;
+  }
+
+  /* Queue a render of root in lane (default: the current update lane).
+     props, when given, is the new root element.  A render already in
+     progress is discarded and restarted from current unless it is for a
+     more urgent lane than this update. */
+  function scheduleRoot(root, props, lane) {
+    lane = lane || requestLane();
+    if (props) root.pendingProps = props;
+    root.suspendedProps = null;
+    root.pendingLanes  |= lane;
+    if (root.wip && (props || lane <= root.renderLanes)) {
+      root.wip       = null;
+      root.nextUnit  = null;
+      root.deletions = [];
+    }
+    if (rootQueue.indexOf(root) < 0) rootQueue.push(root);
+    if (lane === SyncLane) scheduleSync();
+    else scheduleWork();
+  }
+
+  /* Start a fresh wip tree for the most urgent pending lane */
+  function beginRender(root) {
+    flushPassiveEffects(); /* may queue updates of its own */
+    var cur   = root.current;
+    var props = root.pendingProps || (cur && cur.props);
+    if (!props) { root.pendingLanes = 0; return; }
+    root.renderLanes = root.pendingLanes & -root.pendingLanes;
+    root.wip       = { dom: root.dom, props: props, alternate: cur, root: root,
+                       childDirty: !!cur && cur.childDirty };
+    if (cur) cur.alternate = root.wip;
+    root.nextUnit  = root.wip;
+    root.deletions = [];
+    root.leftover  = [];
+    root.profile   = profiling ? [] : null;
+    if (root.hydrating) root.dom._vxHyd = root.dom.firstChild;
+  }
+
+  /* The wip tree is dropped without committing (no boundary caught a throw
+     or suspension).  Its lanes are cleared so it is not retried at once. */
+  function abandonRender(root) {
+    root.wip          = null;
+    root.nextUnit     = null;
+    root.deletions    = [];
+    root.pendingLanes &= ~root.renderLanes;
+  }
+
+  function scheduleUpdate(root, lane) {
+    if (!root || (!root.current && !root.wip)) return;
+    scheduleRoot(root, null, lane);
+  }
+
+  /* Hook-driven update: only fiber (and what it re-renders) will run */
+  function scheduleFiberUpdate(fiber, lane) {
+    markDirty(fiber);
+    scheduleUpdate(rootOf(fiber), lane);
+  }
+
+  /*
+   * flushSync(fn) → fn()
+   *
+   * Updates made inside fn are rendered and committed before flushSync
+   * returns.  Inside a render or commit they are only queued as Sync.
+   */
+  function flushSync(fn) {
+    try { return fn ? withLane(SyncLane, fn) : undefined; }
+    finally { performSyncWork(); }
+  }
+
+  /* Updates made inside fn are transitions: they render after everything
+     more urgent and are restarted, not waited for, when urgent work arrives. */
+  function startTransition(fn) {
+    withLane(TransitionLane, fn);
+  }
+
+  /* ── public createElement / render ──────────────────────────────────────── */
+
+  /* Push items from arr into out, recursing into nested arrays, skipping nullish */
+  function flatPush(out, arr) {
+    for (var _i = 0; _i < arr.length; _i++) {
+      var _c = arr[_i];
+      if (_c === null || _c === undefined || _c === false) continue;
+      if (Array.isArray(_c)) { flatPush(out, _c); continue; }
+      out.push(typeof _c === 'object' ? _c : createTextElement(String(_c)));
+    }
+  }
+
+  function createElement(type, props) {
+    var children = [];
+    for (var _a = 2; _a < arguments.length; _a++) {
+      var _ch = arguments[_a];
+      if (_ch === null || _ch === undefined || _ch === false) continue;
+      if (Array.isArray(_ch)) {
+        if (config.dev) checkKeys(_ch);
+        flatPush(children, _ch);
+        continue;
+      }
+      children.push(typeof _ch === 'object' ? _ch : createTextElement(String(_ch)));
+    }
+    return { type: type, props: Object.assign({}, props, { children: children }) };
+  }
+
+  function createTextElement(text) {
+    return { type: 'TEXT_ELEMENT', props: { nodeValue: text, children: [] } };
+  }
+
+  /**
+   * FiberRoot — one per container.  Holds that container's committed tree,
+   * its in-progress wip tree and the deletions for the next commit, so any
+   * number of roots can be mounted side by side without sharing bookkeeping.
+   * render() returns the root as a handle: root.render(el) / root.unmount().
+   */
+  function FiberRoot(container, options) {
+    listenAll(container);
+    this.dom       = container;
+    this.onError   = options && options.onError; /* uncaught errors */
+    this.current   = null;  /* last committed root fiber          */
+    this.wip       = null;  /* work-in-progress root fiber         */
+    this.nextUnit  = null;  /* next fiber unit of work             */
+    this.deletions = [];    /* fibers to delete in next commit     */
+    this.unmounted = false;
+    this.hydrating = false; /* adopting server markup until first commit */
+    this.pendingLanes = 0;  /* lanes with updates not yet committed    */
+    this.renderLanes  = 0;  /* lane the wip tree is rendering          */
+    this.pendingProps = null; /* root element not yet committed        */
+    this.leftover     = []; /* hook cells that skipped an update       */
+    this.syncPass     = 0;  /* performSyncWork pass syncCommits counts */
+    this.syncCommits  = 0;
+    this.profile      = null; /* component render times, when profiling */
+    this.idPrefix     = (options && options.identifierPrefix) || ''; /* useId */
+  }
+
+  FiberRoot.prototype = {
+    constructor: FiberRoot,
+
+    render: function (element) {
+      this.unmounted = false;
+      scheduleRoot(this, { children: [element] });
+      return this;
+    },
+
+    /* Deletes the whole tree (running effect cleanups) on the next commit
+       and detaches the root from its container. */
+    unmount: function () {
+      if (!this.current && !this.wip) return;
+      this.unmounted = true;
+      scheduleRoot(this, { children: [] });
+    }
+  };
+
+  /* options.onError(error, { phase }) receives errors no boundary caught */
+  function render(element, container, options) {
+    var root = container._vxRoot;
+    if (!root) root = container._vxRoot = new FiberRoot(container, options);
+    else if (options && 'onError' in options) root.onError = options.onError;
+    return root.render(element);
+  }
+
+  /* Like render(), but the first render adopts the server-rendered markup
+     already inside container instead of replacing it */
+  function hydrate(element, container, options) {
+    if (container._vxRoot) return render(element, container, options);
+    var root = container._vxRoot = new FiberRoot(container, options);
+    root.hydrating = true;
+    return root.render(element);
+  }
+
+  /* ── hooks ───────────────────────────────────────────────────────────────── */
+
+  function useState(initial) {
+    return reducerHook('useState', basicStateReducer, initial);
+  }
+
+  function useReducer(reducer, initial) {
+    return reducerHook('useReducer', reducer, initial);
+  }
+
+  /* useState and useReducer share one implementation; name is the hook
+     the component called, for dev warnings */
+  function reducerHook(name, reducer, initial) {
+    if (config.dev) checkHook(name);
+    var oldHook = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+
+    /* The "cell" is a stable object that survives across renders.
+       It holds the pending action queue and the dispatch function so
+       dispatch has a stable identity — passing it as a prop won't
+       trigger unnecessary child re-renders. */
+    var cell = oldHook ? oldHook._cell : { queue: [] };
+
+    var base = oldHook
+      ? oldHook.baseState
+      : (typeof initial === 'function' ? initial() : initial);
+
+    /* Fold in the actions queued since the last commit whose lane is being
+       rendered.  Once one is skipped, base stops advancing: everything from
+       there on stays queued and is replayed over base when the skipped lane
+       renders, so updates always apply in dispatch order.  The queue itself
+       is only trimmed when this render commits (flushFiberEffects), so a
+       render that is abandoned or retried never loses an update. */
+    var lanes   = workRoot ? workRoot.renderLanes : AllLanes;
+    var state   = base;
+    var applied = 0;
+    var skipped = false;
+    var rebased = null; /* rendered after a skip: must replay in every lane */
+    for (var _qi = 0; _qi < cell.queue.length; _qi++) {
+      var update = cell.queue[_qi];
+      if (update.lane & lanes) {
+        state = reducer(state, update.action);
+        if (!skipped) { base = state; applied++; }
+        else (rebased = rebased || []).push(update);
+      } else if (!skipped) {
+        skipped = true;
+        workRoot.leftover.push(cell);
+      }
+    }
+
+    /* Create dispatch once per hook lifetime; it closes over the stable cell */
+    if (!cell.dispatch) {
+      cell.dispatch = function (action) {
+        if (cell.fiber.unmounted) {
+          devWarn('state update on ' + typeName(cell.fiber.type) + ' after it unmounted was ' +
+            'ignored. Cancel subscriptions and timers in an effect cleanup.', cell.fiber);
+          return;
+        }
+        var lane = requestLane();
+        cell.queue.push({ action: action, lane: lane });
+        scheduleFiberUpdate(cell.fiber, lane);
+      };
+    }
+    cell.fiber = wipFiber; /* latest fiber this hook rendered in */
+
+    var hook = { name: name, state: state, baseState: base, reducer: reducer, _cell: cell,
+                 applied: applied, rebased: rebased };
+    wipFiber.hooks[hookIdx++] = hook;
+    return [hook.state, cell.dispatch];
+  }
+
+  /* Passive: runs after the commit has been painted */
+  function useEffect(effect, deps) {
+    pushEffect(null, effect, deps);
+  }
+
+  /* Runs synchronously after DOM mutation, before the browser paints —
+     for measuring layout and adjusting it without a flash */
+  function useLayoutEffect(effect, deps) {
+    pushEffect('layout', effect, deps);
+  }
+
+  /* Runs before the commit touches the DOM below this component, ahead of
+     every layout effect — for injecting styles.  Refs are not yet set. */
+  function useInsertionEffect(effect, deps) {
+    pushEffect('insertion', effect, deps);
+  }
+
+  function pushEffect(kind, effect, deps) {
+    var name = HOOK_NAMES[kind] || 'useEffect';
+    if (config.dev) checkHook(name);
+    var oldHook     = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+    var depsChanged = !oldHook
+      || !deps
+      || deps.some(function (d, i) { return d !== (oldHook.deps && oldHook.deps[i]); });
+
+    /* fx holds the live cleanup; shared across renders of this hook */
+    var hook = { name: name, kind: kind, deps: deps, fx: oldHook ? oldHook.fx : { cleanup: null } };
+
+    if (depsChanged) {
+      wipFiber._pendingEffects = wipFiber._pendingEffects || [];
+      wipFiber._pendingEffects.push({
+        kind:   kind,
+        effect: effect,
+        fx:     hook.fx,
+        fiber:  wipFiber
+      });
+    }
+
+    wipFiber.hooks[hookIdx++] = hook;
+  }
+
+  function useMemo(factory, deps) {
+    return memoHook('useMemo', factory, deps);
+  }
+
+  function useCallback(fn, deps) {
+    return memoHook('useCallback', function () { return fn; }, deps);
+  }
+
+  function memoHook(name, factory, deps) {
+    if (config.dev) checkHook(name);
+    var oldHook     = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+    var depsChanged = !oldHook
+      || !deps
+      || deps.some(function (d, i) { return d !== (oldHook.deps && oldHook.deps[i]); });
+
+    var hook = {
+      name:  name,
+      value: depsChanged ? factory() : oldHook.value,
+      deps:  deps
+    };
+    wipFiber.hooks[hookIdx++] = hook;
+    return hook.value;
+  }
+
+  function useRef(initial) {
+    if (config.dev) checkHook('useRef');
+    var oldHook = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+    /* Ref object is stable across renders — same object reference always returned */
+    var hook    = oldHook ||
+      { name: 'useRef', ref: { current: typeof initial === 'function' ? initial() : initial } };
+    wipFiber.hooks[hookIdx++] = hook;
+    return hook.ref;
+  }
+
+  /*
+   * useImperativeHandle(ref, create, [deps])
+   *
+   * Sets ref (object or callback) to create()'s result — the methods this
+   * component exposes to its parent — when the layout effects of the
+   * commit run, and back to null on unmount or before it is replaced.
+   * Pair with forwardRef to receive the parent's ref.
+   */
+  function useImperativeHandle(ref, create, deps) {
+    var fiber = wipFiber;
+    useLayoutEffect(function () {
+      if (!ref) return;
+      setRef(ref, create(), fiber);
+      return function () { setRef(ref, null, fiber); };
+    }, deps ? deps.concat([ref]) : deps);
+  }
+
+  /*
+   * useId() → string
+   *
+   * An id unique to this component instance and call, for htmlFor and
+   * aria-* relationships.  It is derived from the component's position in
+   * the tree — the sibling index at each level where there is a choice —
+   * so the server and the hydrating client agree on it, and is kept for
+   * the life of the instance.  The root's identifierPrefix option
+   * (render / hydrate / renderToString) comes first, so several roots on
+   * one page never collide.
+   */
+  function useId() {
+    if (config.dev) checkHook('useId');
+    var oldHook = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+    var hook    = oldHook || { name: 'useId', id: treeId(wipFiber) };
+    /* Components below an id user get a level of their own, so their ids
+       differ from its ids even where the tree does not branch */
+    wipFiber._idUsed = true;
+    wipFiber.hooks[hookIdx++] = hook;
+    return hook.id;
+  }
+
+  function treeId(fiber) {
+    var path = [], f = fiber;
+    for (; f.parent; f = f.parent) {
+      if (f.forked || f.parent._idUsed) path.push(f.index.toString(32));
+    }
+    var prefix = f.root ? f.root.idPrefix : f.idPrefix || '';
+    var n      = fiber._idCount = fiber._idUsed ? (fiber._idCount || 0) + 1 : 0;
+    return prefix + 'v' + path.reverse().join('-') + (n ? '_' + n : '');
+  }
+
+  /*
+   * useTransition() → [isPending, startTransition]
+   *
+   * isPending turns true at the caller's priority and back to false in the
+   * same transition as the updates made inside startTransition(fn), so it
+   * stays true until they have committed.
+   */
+  function useTransition() {
+    var pair       = useState(false);
+    var setPending = pair[1];
+    var start      = useRef(null);
+    if (!start.current) {
+      start.current = function (fn) {
+        setPending(true);
+        startTransition(function () {
+          setPending(false);
+          fn();
+        });
+      };
+    }
+    return [pair[0], start.current];
+  }
+
+  /* useDeferredValue(value) — returns the previous value while a render
+     with the new one runs as a transition, so expensive children fed by it
+     never hold up urgent updates. */
+  function useDeferredValue(value) {
+    var pair = useState(value);
+    var set  = pair[1];
+    useEffect(function () {
+      startTransition(function () { set(value); });
+    }, [value]);
+    return pair[0];
+  }
+
+  /*
+   * useSyncExternalStore(subscribe, getSnapshot, [getServerSnapshot])
+   *
+   * Reads a value that lives outside Vertex.  subscribe(onChange) returns
+   * an unsubscribe function; getSnapshot() must return the same value
+   * (Object.is) until the store changes.  A change re-renders this
+   * component at Sync priority, which also restarts any render in progress,
+   * so one commit never shows two versions of the store.  getServerSnapshot
+   * is read instead on the server and while hydrating, so the first client
+   * render matches the server markup.
+   */
+  function useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot) {
+    if (config.dev) checkHook('useSyncExternalStore');
+    var oldHook = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+    var cell    = oldHook ? oldHook._cell : {};
+    /* The layout effect below catches up with changes since the server */
+    var server  = !workRoot || workRoot.hydrating;
+    var value   = server && getServerSnapshot ? getServerSnapshot() : getSnapshot();
+    cell.fiber  = wipFiber;
+    /* bailouts re-point cell.fiber */
+    wipFiber.hooks[hookIdx++] = { name: 'useSyncExternalStore', _cell: cell, value: value };
+
+    function check() {
+      if (!Object.is(cell.getSnapshot(), cell.value)) scheduleFiberUpdate(cell.fiber, SyncLane);
+    }
+    /* What was rendered is what the next check compares against */
+    useLayoutEffect(function () {
+      cell.value       = value;
+      cell.getSnapshot = getSnapshot;
+      check(); /* changed between render and commit */
+    });
+    useLayoutEffect(function () {
+      check();
+      return subscribe(check);
+    }, [subscribe]);
+    return value;
+  }
+
+  /*
+   * createStore(reducer, initial) → store
+   *
+   * A minimal state container: getState(), dispatch(action) and
+   * subscribe(fn) → unsubscribe.  Components read it with
+   * useStore(store, selector) and re-render only when their slice changes;
+   * templates take it as the store option; anything else — router
+   * handlers included — can dispatch, or watch a slice with
+   * store.select(selector, fn).
+   */
+  function createStore(reducer, initial) {
+    var state     = initial;
+    var listeners = [];
+
+    function subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        var i = listeners.indexOf(fn);
+        if (i > -1) listeners.splice(i, 1);
+      };
+    }
+
+    return {
+      getState:  function () { return state; },
+      subscribe: subscribe,
+
+      dispatch: function (action) {
+        var next = reducer(state, action);
+        if (Object.is(next, state)) return action;
+        state = next;
+        /* Copy: a listener may unsubscribe itself */
+        listeners.slice().forEach(function (fn) { fn(state); });
+        return action;
+      },
+
+      /* fn(slice, prevSlice) whenever selector(state) stops being equal */
+      select: function (selector, fn, isEqual) {
+        var eq   = isEqual || Object.is;
+        var last = selector(state);
+        return subscribe(function (s) {
+          var next = selector(s);
+          if (eq(last, next)) return;
+          var prev = last;
+          last = next;
+          fn(next, prev);
+        });
+      }
+    };
+  }
+
+  /*
+   * useStore(store, [selector], [isEqual]) → selected slice
+   *
+   * selector defaults to the whole state; isEqual (default Object.is)
+   * decides whether a new slice counts as a change, so a selector may build
+   * a fresh object each time and compare it with a shallow equality.
+   */
+  function useStore(store, selector, isEqual) {
+    var m = useRef(function () { return { has: false }; }).current;
+    m.selector = selector || function (s) { return s; };
+    m.isEqual  = isEqual || Object.is;
+    if (!m.getSnapshot) {
+      m.getSnapshot = function () {
+        var state = store.getState();
+        if (m.has && m.state === state && m.used === m.selector) return m.value;
+        var next = m.selector(state);
+        m.state = state;
+        m.used  = m.selector;
+        if (!m.has || !m.isEqual(m.value, next)) m.value = next;
+        m.has = true;
+        return m.value;
+      };
+    }
+    return useSyncExternalStore(store.subscribe, m.getSnapshot);
+  }
+
+  /* Context — per-fiber propagation via contextMap
+   *
+   * Each fiber carries a contextMap (plain object: ctx._id → value).
+   * Providers inject their value into this map; the map is inherited by
+   * all descendant fibers so nested and parallel contexts work correctly.
+   *
+   * Two Providers of the same context in different subtrees are completely
+   * independent. Nested Providers of the same context shadow correctly.
+   */
+  var _ctxIdCounter = 0;
+
+  function createContext(defaultValue) {
+    var id  = _ctxIdCounter++;
+    var ctx = { _id: id, _defaultValue: defaultValue };
+    contextsById[id] = ctx;
+
+    /* Provider — a function component that marks the current fiber so
+       updateFunctionComponent can write id→value into the contextMap
+       before reconciling children. */
+    ctx.Provider = function ProviderComponent(props) {
+      /* Tag this fiber for post-render contextMap update */
+      if (wipFiber) {
+        wipFiber._ctxProvide      = wipFiber._ctxProvide || {};
+        wipFiber._ctxProvide[id]  = props.value;
+      }
+      var children = props.children;
+      return Array.isArray(children) ? (children[0] || null) : (children || null);
+    };
+    ctx.Provider._vxCtxId = id; /* marker so devtools can identify it */
+
+    ctx.Consumer = function ConsumerComponent(props) {
+      var fn  = Array.isArray(props.children) ? props.children[0] : props.children;
+      var val = useContext(ctx);
+      return typeof fn === 'function' ? fn(val) : null;
+    };
+
+    return ctx;
+  }
+
+  function useContext(ctx) {
+    if (config.dev && !wipFiber) {
+      throw new Error('Vertex: useContext was called outside a component render.');
+    }
+    if (wipFiber) {
+      /* Recorded so a Provider value change can reach bailed-out consumers */
+      wipFiber.ctxDeps = wipFiber.ctxDeps || {};
+      wipFiber.ctxDeps[ctx._id] = true;
+    }
+    if (wipFiber && wipFiber.contextMap && ctx._id in wipFiber.contextMap) {
+      return wipFiber.contextMap[ctx._id];
+    }
+    return ctx._defaultValue;
+  }
+
+  /* Shallow prop comparison — the default memo() comparator.  createElement
+     builds a fresh children array on every call, so children are compared
+     item by item rather than by array identity. */
+  function shallowEqual(a, b) {
+    if (a === b) return true;
+    var ka = Object.keys(a), kb = Object.keys(b);
+    if (ka.length !== kb.length) return false;
+    for (var i = 0; i < ka.length; i++) {
+      var k = ka[i];
+      if (!Object.prototype.hasOwnProperty.call(b, k)) return false;
+      if (a[k] === b[k]) continue;
+      if (k !== 'children' || !Array.isArray(a[k]) || !Array.isArray(b[k]) ||
+          a[k].length !== b[k].length) return false;
+      for (var j = 0; j < a[k].length; j++) {
+        if (a[k][j] !== b[k][j]) return false;
+      }
+    }
+    return true;
+  }
+
+  /* memo: the wrapped component skips rendering while areEqual(prev, next)
+     holds.  The wrapper calls Component directly, so hooks live on the
+     wrapper's fiber and there is no extra level in the tree. */
+  function memo(Component, areEqual) {
+    function Memo(props) { return Component(props); }
+    Memo._vxCompare = areEqual || shallowEqual;
+    return Memo;
+  }
+
+  /*
+   * forwardRef(render) → component
+   *
+   * render(props, ref) receives the ref its element was given — instead of
+   * it appearing in props — and can pass it to a host element or to
+   * useImperativeHandle.
+   */
+  function forwardRef(render) {
+    function ForwardRef(props) {
+      var rest = {};
+      for (var k in props) {
+        if (k !== 'ref') rest[k] = props[k];
+      }
+      return render(rest, props.ref === undefined ? null : props.ref);
+    }
+    var name = render.displayName || render.name;
+    ForwardRef.displayName = name ? 'ForwardRef(' + name + ')' : 'ForwardRef';
+    return ForwardRef;
+  }
+
+  /*
+   * useErrorBoundary(onError) → [error, reset]
+   *
+   * Makes the calling component an error boundary: errors thrown while
+   * rendering its descendants, or by their effects and effect cleanups, are
+   * caught and returned as error so it can render fallback UI instead of
+   * its children.  reset() clears the error and renders the children again.
+   * A boundary that is showing its fallback does not catch — errors from the
+   * fallback itself go to the next boundary up.
+   */
+  function useErrorBoundary(onError) {
+    if (config.dev) checkHook('useErrorBoundary');
+    var oldHook = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
+    var cell    = oldHook ? oldHook._boundary : { error: null };
+    cell.fiber   = wipFiber;
+    cell.onError = onError;
+    if (!cell.reset) {
+      cell.reset = function () {
+        cell.error = null;
+        scheduleFiberUpdate(cell.fiber);
+      };
+    }
+
+    /* Re-rendered by throwUnit in this same pass */
+    var caught = wipFiber.caught;
+    if (caught) {
+      cell.error = caught.error;
+      if (typeof onError === 'function') {
+        wipFiber._pendingEffects = wipFiber._pendingEffects || [];
+        wipFiber._pendingEffects.push({
+          effect: function () { onError(caught.error); },
+          fx:     {},
+          fiber:  wipFiber
+        });
+      }
+    }
+    if (!cell.error) wipFiber.errorBoundary = cell;
+
+    wipFiber.hooks[hookIdx++] = { name: 'useErrorBoundary', _boundary: cell };
+    return [cell.error, cell.reset];
+  }
+
+  /* ErrorBoundary — component form of useErrorBoundary.  fallback is either
+     an element or fallback(error, reset). */
+  function ErrorBoundary(props) {
+    var pair = useErrorBoundary(props.onError);
+    if (!pair[0]) return props.children;
+    return typeof props.fallback === 'function'
+      ? props.fallback(pair[0], pair[1])
+      : (props.fallback || null);
+  }
+
+  /*
+   * createPortal(children, domNode, [key])
+   *
+   * Renders children into domNode instead of the parent's DOM.  The portal
+   * stays in its logical place in the fiber tree, so its children keep the
+   * context, hook state and updates of the component that rendered them.
+   */
+  function createPortal(children, domNode, key) {
+    var kids = [];
+    flatPush(kids, Array.isArray(children) ? children : [children]);
+    return { type: PORTAL, props: { children: kids, container: domNode, key: key } };
+  }
+
+  /* Fragment: returns children to the reconciler as a flat array */
+  function Fragment(props) { return props.children; }
+
+  /* lazy: throws a Promise (Suspense protocol) until module resolves.
+     The single thenable is stored and re-thrown on each render attempt so
+     factory() is called exactly once regardless of how many times the
+     component tries to render before the module arrives. */
+  function lazy(factory) {
+    var status   = 'pending';
+    var Component, error;
+    var thenable = factory().then(function (mod) {
+      status    = 'resolved';
+      Component = mod.default || mod;
+    }, function (err) {
+      status = 'rejected';
+      error  = err;
+    });
+    return function LazyWrapper(props) {
+      /* Element literal rather than createElement(), which would replace
+         props.children with an empty array */
+      if (status === 'resolved') return { type: Component, props: props };
+      if (status === 'rejected') throw error;
+      throw thenable; /* re-throw the same promise — no second fetch */
+    };
+  }
+
+  /*
+   * Suspense — shows props.fallback while any descendant is suspended
+   * (threw a thenable), then retries its children once all of them settle.
+   * Boundary state lives in hook 0 so suspendUnit can reach it even when
+   * this fiber bailed out; retry is a state dispatch so the re-render is
+   * scoped to this boundary.
+   */
+  function Suspense(props) {
+    var boundary = useRef(function () {
+      return { suspended: false, pending: [], retry: null };
+    }).current;
+    boundary.retry = useState(0)[1];
+    return suspenseChildren(props, boundary.suspended);
+  }
+
+  /* Children are wrapped in SuspenseContent at a fixed position ahead of the
+     fallback, so suspending only hides them and never unmounts them.
+     Element literal so props.children passes through untouched. */
+  function suspenseChildren(props, suspended) {
+    return [
+      { type: SuspenseContent, props: { hidden: suspended, children: props.children } },
+      suspended ? (props.fallback || null) : null
+    ];
+  }
+
+  function SuspenseContent(props) {
+    return props.children;
+  }
+
+  /* ── server rendering ────────────────────────────────────────────────────
+   *
+   * renderToString / renderToStream serialize an element tree to HTML with
+   * no DOM and no scheduler.  Function components run once against a
+   * pseudo-fiber ({ type, props, parent, index, hooks, contextMap }), so
+   * state initializers, useMemo, useRef and useContext behave as on a first
+   * client render; effects are queued on the pseudo-fiber and never run.
+   *
+   * The walk is an explicit stack so the stream can stop after any chunk
+   * and resume on the next read.  Output below a Suspense or error boundary
+   * is buffered until the boundary finishes: a descendant that suspends
+   * (there is nothing to wait for on the server) or throws discards the
+   * buffer and the boundary renders its fallback in place.
+   */
+  var VOID_ELEMENTS = {
+    area: 1, base: 1, br: 1, col: 1, embed: 1, hr: 1, img: 1, input: 1,
+    link: 1, meta: 1, param: 1, source: 1, track: 1, wbr: 1
+  };
+
+  /* Props that never reach the markup */
+  var SSR_SKIP = { children: 1, key: 1, ref: 1, dangerouslySetInnerHTML: 1, suppressHydrationWarning: 1 };
+  var SSR_ALIAS = { className: 'class', htmlFor: 'for', defaultValue: 'value', defaultChecked: 'checked' };
+
+  /* 'fontSize' → 'font-size', 'WebkitTransition' → '-webkit-transition';
+     hyphenated keys and custom properties pass through */
+  function cssName(k) {
+    if (k.indexOf('-') > -1) return k;
+    return k.replace(/[A-Z]/g, function (c) { return '-' + c.toLowerCase(); })
+            .replace(/^(webkit|moz|ms|o)-/, '-$1-');
+  }
+
+  function styleString(style) {
+    if (!style || typeof style !== 'object') return style ? String(style) : '';
+    var out = '';
+    for (var k in style) {
+      var v = style[k];
+      if (v == null || v === false || v === '') continue;
+      out += (out ? ';' : '') + cssName(k) + ':' + v;
+    }
+    return out;
+  }
+
+  /* [name, value] pairs for the attributes of a host element; value true is
+     a boolean attribute.  Shared with hydration's mismatch check. */
+  function serverAttrs(type, props, foreign) {
+    var out = [];
+    for (var k in props) {
+      var v = props[k];
+      if (SSR_SKIP[k] || isEventProp(k) || typeof v === 'function') continue;
+      if (type === 'textarea' && (k === 'value' || k === 'defaultValue')) continue;
+      if (type === 'select'   && (k === 'value' || k === 'defaultValue')) continue;
+      if (k === 'style') {
+        v = styleString(v);
+        if (v) out.push(['style', v]);
+        continue;
+      }
+      var literal = literalAttr(k);
+      if (v == null || (v === false && !literal)) continue;
+      var name = foreign ? foreignAttrName(k)
+        : (SSR_ALIAS[k] || (k.indexOf('-') < 0 ? k.toLowerCase() : k));
+      out.push([name, v === true && !literal ? true : String(v)]);
+    }
+    return out;
+  }
+
+  function renderAttrs(type, props, foreign) {
+    var attrs = serverAttrs(type, props, foreign), out = '';
+    for (var i = 0; i < attrs.length; i++) {
+      out += attrs[i][1] === true ? ' ' + attrs[i][0]
+                                  : ' ' + attrs[i][0] + '="' + escHtml(attrs[i][1]) + '"';
+    }
+    return out;
+  }
+
+  function ServerRenderer(element, options) {
+    var root = { props: { children: [element] }, contextMap: {},
+                 idPrefix: (options && options.identifierPrefix) || '' };
+    this.stack  = [{ el: element, parent: root, index: 0, forked: false }];
+    this.bufs   = [''];  /* bufs[0] is ready for the consumer; one more per open boundary */
+    this.bounds = [];    /* open boundaries: { fiber, kind, mark } */
+  }
+
+  /* Render until at least size characters are ready, or the tree is done.
+     Returns the next chunk, or null once everything has been read. */
+  ServerRenderer.prototype.read = function (size) {
+    while (this.stack.length && (this.bounds.length || this.bufs[0].length < size)) {
+      this.step(this.stack.pop());
+    }
+    var chunk = this.bufs[0];
+    this.bufs[0] = '';
+    return chunk || null;
+  };
+
+  ServerRenderer.prototype.emit = function (s) {
+    this.bufs[this.bufs.length - 1] += s;
+  };
+
+  ServerRenderer.prototype.pushChildren = function (children, parent) {
+    for (var i = children.length - 1; i >= 0; i--) {
+      this.stack.push({ el: children[i], parent: parent, index: i, forked: children.length > 1 });
+    }
+  };
+
+  ServerRenderer.prototype.step = function (frame) {
+    if (frame.close !== undefined) { this.emit(frame.close); return; }
+    if (frame.bound) {
+      /* Boundary finished — its buffered output joins the enclosing one */
+      this.bounds.pop();
+      var html = this.bufs.pop();
+      this.emit(html);
+      return;
+    }
+
+    var el = frame.el, parent = frame.parent;
+    if (el.type === 'TEXT_ELEMENT') { this.emit(escHtml(el.props.nodeValue)); return; }
+    if (el.type === PORTAL) return; /* no target document on the server */
+
+    var fiber = {
+      type: el.type, props: el.props, parent: parent, index: frame.index, forked: frame.forked,
+      hooks: [], alternate: null, contextMap: parent.contextMap,
+      foreign: parent.foreign, select: parent.select
+    };
+
+    if (typeof el.type === 'function') {
+      var output;
+      try {
+        output = this.renderComponent(fiber);
+      } catch (thrown) {
+        this.unwind(thrown);
+        return;
+      }
+      var kind = el.type === Suspense ? 'suspense' : (fiber.errorBoundary ? 'error' : null);
+      if (kind) {
+        this.stack.push({ bound: true });
+        this.bounds.push({ fiber: fiber, kind: kind, mark: this.stack.length });
+        this.bufs.push('');
+      }
+      this.pushChildren(flattenChildren(output), fiber);
+      return;
+    }
+
+    /* Host element */
+    var type = el.type, props = el.props;
+    if (type === 'svg' || type === 'math') fiber.foreign = true;
+    var attrs = renderAttrs(type, props, fiber.foreign);
+    if (type === 'option' && parent.select) {
+      var val = props.value !== undefined ? props.value : textContent(props.children);
+      if (parent.select.indexOf(String(val)) > -1) attrs += ' selected';
+    }
+    this.emit('<' + type + attrs + '>');
+    if (VOID_ELEMENTS[type] && !fiber.foreign) return;
+    if (type === 'foreignObject' || type === 'annotation-xml') fiber.foreign = false;
+
+    this.stack.push({ close: '</' + type + '>' });
+    if (props.dangerouslySetInnerHTML) {
+      this.emit(props.dangerouslySetInnerHTML.__html || '');
+    } else if (type === 'textarea') {
+      var tv = props.value !== undefined ? props.value : props.defaultValue;
+      this.emit(escHtml(tv == null ? textContent(props.children) : tv));
+    } else {
+      if (type === 'select') {
+        var sv = props.value !== undefined ? props.value : props.defaultValue;
+        fiber.select = sv == null ? null : [].concat(sv).map(String);
+      }
+      this.pushChildren(props.children || [], fiber);
+    }
+  };
+
+  ServerRenderer.prototype.renderComponent = function (fiber) {
+    var prevFiber = wipFiber, prevIdx = hookIdx;
+    wipFiber = fiber;
+    hookIdx  = 0;
+    try {
+      var output = fiber.type(fiber.props);
+      if (fiber._ctxProvide) {
+        fiber.contextMap = Object.assign({}, fiber.contextMap, fiber._ctxProvide);
+        fiber._ctxProvide = null;
+      }
+      return output;
+    } finally {
+      wipFiber = prevFiber;
+      hookIdx  = prevIdx;
+    }
+  };
+
+  /* A component threw.  The nearest open boundary of the matching kind
+     drops everything rendered or queued inside it and renders its fallback;
+     with no such boundary the whole render fails. */
+  ServerRenderer.prototype.unwind = function (thrown) {
+    var suspended = !!thrown && typeof thrown.then === 'function';
+    var want = suspended ? 'suspense' : 'error';
+    for (var i = this.bounds.length - 1; i >= 0; i--) {
+      if (this.bounds[i].kind === want) break;
+    }
+    if (i < 0) {
+      if (suspended) throw new Error('Vertex: a component suspended during server rendering with no Suspense boundary above it');
+      throw thrown;
+    }
+    var b = this.bounds[i];
+    this.bounds.length = i + 1;
+    this.bufs.length   = i + 2;
+    this.bufs[i + 1]   = '';
+    this.stack.length  = b.mark;
+    b.kind = 'done'; /* errors in the fallback go further up */
+
+    var fiber = b.fiber, output;
+    if (suspended) {
+      output = fiber.props.fallback || null;
+    } else {
+      /* Re-render the boundary with the error, as throwUnit does */
+      fiber.hooks  = [];
+      fiber.caught = { error: thrown };
+      try {
+        output = this.renderComponent(fiber);
+      } catch (err) {
+        this.unwind(err);
+        return;
+      }
+    }
+    this.pushChildren(flattenChildren(output), fiber);
+  };
+
+  /* Text of a children array — <textarea> / <option> bodies */
+  function textContent(children) {
+    var out = '';
+    for (var i = 0; children && i < children.length; i++) {
+      if (children[i].type === 'TEXT_ELEMENT') out += children[i].props.nodeValue;
+      else out += textContent(children[i].props && children[i].props.children);
+    }
+    return out;
+  }
+
+  /*
+   * renderToString(element) → HTML string
+   *
+   * Renders element once, synchronously, without touching the DOM.
+   */
+  /* options.identifierPrefix: see useId */
+  function renderToString(element, options) {
+    return new ServerRenderer(element, options).read(Infinity) || '';
+  }
+
+  /*
+   * renderToStream(element, [options]) → readable stream of HTML text
+   *
+   * A web ReadableStream, or a Node stream.Readable when that constructor
+   * is passed as options.Readable — the file never loads Node built-ins
+   * itself, so bundlers see no require('stream').  Rendering proceeds as
+   * the consumer reads, options.chunkSize characters (default 16384) at a
+   * time; errors are reported through the stream.
+   */
+  function renderToStream(element, options) {
+    var renderer = new ServerRenderer(element, options);
+    var size     = (options && options.chunkSize) || 16384;
+    var Readable = options && options.Readable;
+    if (Readable) {
+      return new Readable({
+        encoding: 'utf8',
+        read: function () {
+          var chunk;
+          try { chunk = renderer.read(size); } catch (err) { this.destroy(err); return; }
+          this.push(chunk);
+        }
+      });
+    }
+    if (typeof ReadableStream === 'undefined') {
+      throw new Error('Vertex.renderToStream: no ReadableStream available; pass options.Readable');
+    }
+    return new ReadableStream({
+      pull: function (controller) {
+        var chunk = renderer.read(size);
+        if (chunk === null) controller.close();
+        else controller.enqueue(chunk);
+      }
+    });
+  }
+
+  /* ── hydration ───────────────────────────────────────────────────────────
+   *
+   * hydrate() renders over markup produced by renderToString.  While a root
+   * is hydrating, each host fiber claims the next unclaimed node of its
+   * parent DOM (a cursor kept in dom._vxHyd) instead of creating one, and is
+   * tagged HYDRATE: commit attaches its listeners and ref but does not move
+   * it.  A node of the wrong kind is replaced by a fresh one; whatever is
+   * still unclaimed when its parent completes is removed at commit.  Text
+   * is always corrected; with config.dev set, mismatches are reported and
+   * attributes are checked and re-applied.
+   */
+  function claimDom(fiber) {
+    var parentDom = nearestDom(fiber);
+    if (!parentDom || parentDom._vxHyd === undefined) return null; /* not hydrating here */
+    var text = fiber.type === 'TEXT_ELEMENT';
+    var node = parentDom._vxHyd;
+    /* Comments and whitespace between tags have no fiber */
+    while (node && (node.nodeType === 8 || (!text && node.nodeType === 3 && !/\S/.test(node.data)))) {
+      node = node.nextSibling;
+    }
+    if (text) {
+      var value = String(fiber.props.nodeValue);
+      if (value === '') return null; /* never reaches the markup */
+      if (!node || node.nodeType !== 3) return replaceNode(fiber, parentDom, node, 'text "' + value + '"');
+      /* Adjacent text children arrive merged into one node */
+      if (node.data.length > value.length && node.data.slice(0, value.length) === value) {
+        node.splitText(value.length);
+      }
+    } else if (!node || node.nodeType !== 1 ||
+               node.localName.toLowerCase() !== String(fiber.type).toLowerCase()) {
+      return replaceNode(fiber, parentDom, node, '<' + fiber.type + '>');
+    }
+    parentDom._vxHyd = node.nextSibling;
+    /* Content the reconciler does not own is left as the server sent it */
+    if (!text && !fiber.props.dangerouslySetInnerHTML && fiber.type !== 'textarea') {
+      node._vxHyd = node.firstChild;
+    }
+    fiber.effectTag = HYDRATE;
+    return node;
+  }
+
+  /* The server node at the cursor is of the wrong kind.  It is taken to be
+     this fiber's counterpart — skipped, and removed when the fiber's fresh
+     node is placed — so later siblings still line up. */
+  function replaceNode(fiber, parentDom, node, expected) {
+    devWarn('hydration: expected ' + expected + ', found ' + describeNode(node), fiber);
+    if (node) {
+      parentDom._vxHyd = node.nextSibling;
+      fiber.hydLeftover = [node];
+    }
+    return null;
+  }
+
+  /* A host fiber (or the root) has had all its children claimed: the rest
+     of its server children are queued for removal. */
+  function completeHydration(fiber) {
+    var dom = fiber.dom;
+    if (!dom || dom._vxHyd === undefined || fiber.type === PORTAL) return;
+    var extra = [];
+    for (var n = dom._vxHyd; n; n = n.nextSibling) extra.push(n);
+    dom._vxHyd = undefined;
+    fiber.hydLeftover = extra.length ? extra : null;
+  }
+
+  /* A boundary is rendering its fallback in place of what it claimed so far */
+  function rewindHydration(fiber) {
+    var parentDom = nearestDom(fiber);
+    if (parentDom && parentDom._vxHyd !== undefined) parentDom._vxHyd = fiber.hydFrom;
+  }
+
+  /* Commit for a claimed node: correct text, wire listeners and ref */
+  function hydrateDom(fiber) {
+    var dom = fiber.dom, props = fiber.props;
+    if (dom.nodeType === 3) {
+      if (dom.data !== String(props.nodeValue)) {
+        devWarn('hydration: text did not match — server "' + dom.data +
+                '", client "' + props.nodeValue + '"', fiber);
+        dom.data = props.nodeValue;
+      }
+      return;
+    }
+    var bad = config.dev && attrMismatch(dom, props);
+    if (bad) {
+      devWarn('hydration: attribute "' + bad + '" of <' + fiber.type + '> did not match', fiber);
+      for (var i = dom.attributes.length - 1; i >= 0; i--) dom.removeAttribute(dom.attributes[i].name);
+      patchDom(dom, {}, props, fiber);
+    } else {
+      for (var k in props) {
+        if (isEventProp(k)) setEventProp(dom, k, props[k], props);
+      }
+      /* Input typed into before hydration follows the state */
+      if (dom.localName === 'input' || dom.localName === 'textarea') syncForm(dom, props);
+    }
+  }
+
+  function removeLeftover(fiber) {
+    var nodes = fiber.hydLeftover;
+    fiber.hydLeftover = null;
+    for (var i = 0; i < nodes.length; i++) {
+      var n = nodes[i];
+      if (n.nodeType === 1 || (n.nodeType === 3 && /\S/.test(n.data))) {
+        devWarn('hydration: removing extra server node ' + describeNode(n), fiber);
+      }
+      if (n.parentNode) n.parentNode.removeChild(n);
+    }
+  }
+
+  /* First attribute whose server value differs from what props render, or
+     null.  option[selected] comes from the parent <select>, not props. */
+  function attrMismatch(dom, props) {
+    var want = serverAttrs(dom.localName, props, isForeign(dom));
+    var seen = {}, i, name, have;
+    for (i = 0; i < want.length; i++) {
+      name = want[i][0];
+      have = dom.getAttribute(name);
+      seen[name] = 1;
+      if (want[i][1] === true ? have === null
+          : name === 'style' ? cssText(have) !== cssText(want[i][1])
+          : have !== want[i][1]) return name;
+    }
+    for (i = 0; i < dom.attributes.length; i++) {
+      name = dom.attributes[i].name;
+      if (!seen[name] && name !== 'selected') return name;
+    }
+    return null;
+  }
+
+  function cssText(s) { return String(s || '').replace(/\s+/g, '').replace(/;$/, ''); }
+
+  function describeNode(node) {
+    if (!node) return 'nothing';
+    if (node.nodeType === 3) return 'text "' + node.data + '"';
+    return '<' + node.localName + '>';
+  }
+
+  /* ── test utilities  —  Vertex.test ──────────────────────────────────────
+   *
+   * act(fn) runs fn, then renders, commits and runs the effects of every
+   * update it queued before returning, so tests need no sleeps.  When fn
+   * returns a promise, act returns one that settles after the flush.
+   *
+   * create(element, [options]) renders into an in-memory host document
+   * instead of the DOM — options as for render(), e.g. onError — and
+   * exposes the committed tree as plain objects: toJSON() for snapshots
+   * (host elements only) and root, a tree of test instances (components
+   * included) with find helpers.  fireEvent(instance, 'click')
+   * calls the instance's onClick the way an event listener would.
+   */
+  function act(fn) {
+    var result = fn ? fn() : undefined;
+    if (result && typeof result.then === 'function') {
+      return result.then(function (value) { flushAll(); return value; },
+                         function (err)   { flushAll(); throw err; });
+    }
+    flushAll();
+    return result;
+  }
+
+  /* Run every queued render of every root, and their effects, to the end */
+  var ACT_LIMIT = 1000;
+
+  function flushAll() {
+    if (workRoot || committing) return;
+    for (var n = 0; rootQueue.length || pendingEffects.length; n++) {
+      if (n > ACT_LIMIT) throw new Error('Vertex.test.act: updates did not settle');
+      flushPassiveEffects();
+      performSyncWork(); /* Sync first, under the same nested-update guard */
+      var root = rootQueue[0];
+      if (!root) continue;
+      workOnRoot(root, null);
+      if (!root.pendingLanes) rootQueue.splice(rootQueue.indexOf(root), 1);
+    }
+  }
+
+  /* In-memory host: just enough of the DOM for the reconciler to drive */
+  function TestNode(doc, type, ns) {
+    this.ownerDocument = doc;
+    this.nodeType      = type === '#text' ? 3 : 1;
+    this.localName     = type;
+    this.namespaceURI  = ns || null;
+    this.nodeValue     = null;
+    this.parentNode    = null;
+    this.childNodes    = [];
+    this.attributes    = {};
+    this.listeners     = {};
+    this.style         = new TestStyle();
+  }
+
+  TestNode.prototype = {
+    constructor: TestNode,
+
+    insertBefore: function (node, ref) {
+      if (node.parentNode) node.parentNode.removeChild(node);
+      var i = ref ? this.childNodes.indexOf(ref) : -1;
+      if (i < 0) this.childNodes.push(node);
+      else this.childNodes.splice(i, 0, node);
+      node.parentNode = this;
+      return node;
+    },
+    appendChild: function (node) { return this.insertBefore(node, null); },
+    removeChild: function (node) {
+      var i = this.childNodes.indexOf(node);
+      if (i > -1) this.childNodes.splice(i, 1);
+      node.parentNode = null;
+      return node;
+    },
+
+    getAttribute:      function (k) { return k in this.attributes ? this.attributes[k] : null; },
+    setAttribute:      function (k, v) { this.attributes[k] = String(v); },
+    removeAttribute:   function (k) { delete this.attributes[k]; },
+    setAttributeNS:    function (ns, k, v) { this.setAttribute(k, v); },
+    removeAttributeNS: function (ns, local) {
+      for (var k in this.attributes) {
+        if (k === local || k.slice(k.indexOf(':') + 1) === local) delete this.attributes[k];
+      }
+    },
+
+    addEventListener:    function (name, fn) { this.listeners[name] = fn; },
+    removeEventListener: function (name, fn) {
+      if (this.listeners[name] === fn) delete this.listeners[name];
+    }
+  };
+
+  function TestStyle() {}
+  TestStyle.prototype = {
+    constructor:    TestStyle,
+    setProperty:    function (k, v) { if (v === '') delete this[k]; else this[k] = v; },
+    removeProperty: function (k) { delete this[k]; }
+  };
+  Object.defineProperty(TestStyle.prototype, 'cssText', {
+    get: function () { return ''; },
+    set: function () {
+      for (var k in this) if (Object.prototype.hasOwnProperty.call(this, k)) delete this[k];
+    }
+  });
+
+  var testDocument = {
+    createElement:   function (type)     { return new TestNode(this, type, null); },
+    createElementNS: function (ns, type) { return new TestNode(this, type, ns); },
+    createTextNode:  function (text) {
+      var node = new TestNode(this, '#text', null);
+      node.nodeValue = text;
+      return node;
+    }
+  };
+
+  /*
+   * TestInstance — a committed fiber as seen by a test: type, props and
+   * children (instances, or strings for text).  Fragments' and components'
+   * children appear under them, so findByType works for both.
+   */
+  function TestInstance(fiber, parent) {
+    this._fiber   = fiber;
+    this.type     = fiber.type;
+    this.props    = fiber.props;
+    this.parent   = parent;
+    this.children = [];
+    for (var c = fiber.child; c; c = c.sibling) {
+      this.children.push(c.type === 'TEXT_ELEMENT' ? String(c.props.nodeValue) : new TestInstance(c, this));
+    }
+  }
+
+  TestInstance.prototype = {
+    constructor: TestInstance,
+
+    /* Every instance at or below this one for which pred(instance) holds */
+    findAll: function (pred) {
+      var out = [], stack = [this];
+      while (stack.length) {
+        var inst = stack.shift();
+        if (pred(inst)) out.push(inst);
+        for (var i = 0; i < inst.children.length; i++) {
+          if (typeof inst.children[i] !== 'string') stack.push(inst.children[i]);
+        }
+      }
+      return out;
+    },
+    /* Exactly one match, or throws */
+    find: function (pred) {
+      var all = this.findAll(pred);
+      if (all.length !== 1) throw new Error('Vertex.test: expected 1 match, found ' + all.length);
+      return all[0];
+    },
+    findAllByType:  function (type)  { return this.findAll(function (i) { return i.type === type; }); },
+    findByType:     function (type)  { return this.find(function (i) { return i.type === type; }); },
+    findAllByProps: function (props) { return this.findAll(function (i) { return hasProps(i, props); }); },
+    findByProps:    function (props) { return this.find(function (i) { return hasProps(i, props); }); }
+  };
+
+  function hasProps(inst, props) {
+    for (var k in props) {
+      if (!inst.props || inst.props[k] !== props[k]) return false;
+    }
+    return true;
+  }
+
+  /* Host elements only, children flattened through components */
+  function testJSON(fiber) {
+    var out = [];
+    for (var c = fiber.child; c; c = c.sibling) {
+      if (c.type === 'TEXT_ELEMENT') { out.push(String(c.props.nodeValue)); continue; }
+      if (typeof c.type === 'function' || c.type === PORTAL) { out.push.apply(out, testJSON(c)); continue; }
+      var props = {};
+      for (var k in c.props) if (k !== 'children') props[k] = c.props[k];
+      var kids = testJSON(c);
+      out.push({ type: c.type, props: props, children: kids.length ? kids : null });
+    }
+    return out;
+  }
+
+  function TestRenderer(element, options) {
+    var container = testDocument.createElement('#root');
+    var self      = this;
+    act(function () { self._root = render(element, container, options); });
+  }
+
+  TestRenderer.prototype = {
+    constructor: TestRenderer,
+
+    /* null, one node, or an array when the tree renders several */
+    toJSON: function () {
+      var cur = this._root.current;
+      var out = cur ? testJSON(cur) : [];
+      return out.length === 0 ? null : (out.length === 1 ? out[0] : out);
+    },
+    update:  function (element) { var r = this._root; act(function () { r.render(element); }); },
+    unmount: function () { var r = this._root; act(function () { r.unmount(); }); }
+  };
+
+  /* The instance of the element passed to create() */
+  Object.defineProperty(TestRenderer.prototype, 'root', {
+    get: function () {
+      var cur = this._root.current;
+      if (!cur || !cur.child) throw new Error('Vertex.test: nothing is rendered');
+      return new TestInstance(cur.child, null);
+    }
+  });
+
+  /*
+   * fireEvent(instance, name, [init]) → event
+   *
+   * On a host instance, dispatches a SyntheticEvent (init merged in) the
+   * way a native event would be: capture handlers from the root down, then
+   * the instance's own listener, then bubble handlers back up, each at the
+   * priority a real event of that name gets, inside act().  On a component
+   * instance, calls its props['on' + Name] directly.
+   */
+  function fireEvent(inst, name, init) {
+    var type  = name.replace(/^on/, '');
+    var prop  = 'on' + type.charAt(0).toUpperCase() + type.slice(1);
+    var fiber = inst._fiber;
+    var dom   = typeof inst.type === 'string' && fiber.dom;
+    var info  = eventInfo(prop, dom && dom.localName, inst.props.type);
+    var ev    = new SyntheticEvent(Object.assign({ type: info.name, target: inst }, init));
+    var lane  = DISCRETE_EVENTS[info.name] ? SyncLane : DefaultLane;
+    var calls = 0;
+    act(function () {
+      if (!dom) {
+        var handler = inst.props[prop] || inst.props[name];
+        if (typeof handler === 'function') { withLane(lane, handler, ev); calls++; }
+        return;
+      }
+      calls += runListeners(eventPath(fiber, info.name + ' capture'), info.name + ' capture', ev, true);
+      var own = dom._vxown && dom._vxown[info.key];
+      if (own && !ev._stopped) { ev.currentTarget = dom; withLane(lane, own, ev); calls++; }
+      calls += runListeners(eventPath(fiber, info.name), info.name, ev, false);
+    });
+    if (!calls) throw new Error('Vertex.test: no ' + name + ' handler');
+    return ev;
+  }
+
+  var Test = {
+    act:       act,
+    create:    function (element, options) { return new TestRenderer(element, options); },
+    fireEvent: fireEvent
+  };
+
+  /* ═══════════════════════════════════════════════════════════════════════════
+     §3  TEMPLATE ENGINE  —  Vertex.template
+         Mustache {{ }}, {{{ unescaped }}}, {{#if expr}} / {{else if}},
+         {{#unless}}, {{#with}}, {{#each}} over arrays, objects and Maps, two-way
+         data-bind, {{> partials}} with {{#extends}}/{{#block}} layouts,
+         {{ value | filter arg }} pipes and {{#helper}} blocks, and
+         Vertex.template.load(url) for remote template loading.
+         Set Vertex.template.load.baseUri to avoid repeating the path prefix.
+         Re-renders morph the existing DOM rather than replacing innerHTML.
+  ═══════════════════════════════════════════════════════════════════════════ */
+
+  /* Single-pass HTML escape — one regex, one string allocation */
+  var _escMap = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  var _escRe  = /[&<>"']/g;
+  function escHtml(s) {
+    return String(s).replace(_escRe, function (c) { return _escMap[c]; });
+  }
+
+  function resolvePath(obj, path) {
+    /* ../ steps out to the enclosing scope (see scopeData); the root stays put */
+    while (path.slice(0, 3) === '../') {
+      if (obj != null && obj['..']) obj = obj['..'];
+      path = path.slice(3);
+    }
+    if (path === '.') return obj != null ? obj['.'] : undefined;   /* {{.}} — a primitive item */
+    return path.split('.').reduce(function (o, k) {
+      return o != null ? o[k] : undefined;
+    }, obj);
+  }
+
+  /* ── Partials ───────────────────────────────────────────────────────────── */
+
+  /* name → { src, nodes, fn }; the token AST and compiled function are
+     built on first use (fn is null when new Function is blocked, in which
+     case the partial is interpreted) */
+  var partials = {};
+
+  function registerPartial(name, src) {
+    partials[name] = { src: String(src), nodes: null, fn: undefined };
+  }
+
+  /*
+   * templateSource(el) → the template text inside a <template> element.
+   * innerHTML serialises > < & as entities, which would break {{> name}}
+   * and friends; they are decoded again inside {{ }} tags only.
+   */
+  function templateSource(el) {
+    return el.innerHTML.replace(/\{\{[\s\S]*?\}\}/g, function (tag) {
+      return tag.replace(/&gt;/g, '>').replace(/&lt;/g, '<')
+                .replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    });
+  }
+
+  /* Register every <template id="…"> under root as a partial named by its id */
+  function registerPartials(root) {
+    var names = [];
+    Array.from(root.querySelectorAll('template[id]')).forEach(function (el) {
+      registerPartial(el.id, templateSource(el));
+      names.push(el.id);
+    });
+    return names;
+  }
+
+  /* Unregistered names fall back to a <template id> in the document */
+  function findPartial(name) {
+    if (!partials[name] && typeof document !== 'undefined') {
+      var el = document.getElementById(name);
+      if (el && el.nodeName === 'TEMPLATE') registerPartial(name, templateSource(el));
+    }
+    if (!partials[name]) throw new Error('Vertex.template: unknown partial "' + name + '"');
+    return partials[name];
+  }
+
+  /*
+   * renderPartial(name, data, blocks, path) → html
+   *
+   * path scopes the partial like an {{#each}} item: an object's keys are
+   * merged over data, anything else is available as {{.}}.  blocks maps
+   * block names to override functions when the partial is used as a layout.
+   * An interpreted template interprets its partials too.  A partial may
+   * include itself — to render a tree, say — but one nested more than
+   * PARTIAL_DEPTH times inside itself is taken to be an endless loop.
+   */
+  var PARTIAL_DEPTH = 100;
+  var partialDepth  = {}; /* name → how many of its renders are in progress */
+
+  function renderPartial(name, data, blocks, path, interpret) {
+    var p = findPartial(name);
+    if (path) data = scopeData(data, resolvePath(data, path));
+    if (!p.nodes) p.nodes = tokenizeTemplate(p.src);
+    if (!interpret && p.fn === undefined) p.fn = compileTemplate(p.nodes);
+    if ((partialDepth[name] = (partialDepth[name] || 0) + 1) > PARTIAL_DEPTH) {
+      partialDepth[name] = 0;
+      throw new Error('Vertex.template: recursive partial "' + name + '"');
+    }
+    try {
+      return !interpret && p.fn
+        ? p.fn(data, blocks, templateRuntime)
+        : renderNodes(p.nodes, data, blocks);
+    } finally {
+      if (partialDepth[name]) partialDepth[name]--;
     }
-    cell.queue = [];
+  }
 
-    /* Create dispatch once per hook lifetime; it closes over the stable cell */
-    if (!cell.dispatch) {
-      cell.dispatch = function (action) {
-        cell.queue.push(action);
-        scheduleUpdate();
-      };
+  /*
+   * scopeData(data, v, extra) → the data seen inside {{#each}}, {{#with}},
+   * a scoped partial or a helper's fn(ctx): an object's keys are merged over
+   * data, anything else is {{.}}; extra adds @index and friends.  The
+   * enclosing data stays reachable as ../ through a hidden '..' key.
+   */
+  function scopeData(data, v, extra) {
+    var scope = Object.assign({}, data, typeof v === 'object' && v !== null ? v : { '.': v }, extra);
+    Object.defineProperty(scope, '..', { value: data });
+    return scope;
+  }
+
+  /*
+   * eachEntries(v) → { keys, values } | null for {{#each}}.  Arrays, Maps
+   * and plain objects iterate; keys is null for arrays, where @key is the
+   * index.  Anything else — or an empty collection — renders {{else}}.
+   */
+  function eachEntries(v) {
+    if (Array.isArray(v)) return v.length ? { keys: null, values: v } : null;
+    if (v == null || typeof v !== 'object') return null;
+    var keys = [], values = [];
+    if (typeof Map !== 'undefined' && v instanceof Map) {
+      v.forEach(function (val, k) { keys.push(k); values.push(val); });
+    } else {
+      keys = Object.keys(v);
+      values = keys.map(function (k) { return v[k]; });
     }
+    return keys.length ? { keys: keys, values: values } : null;
+  }
 
-    var hook = { state: state, _cell: cell };
-    wipFiber.hooks[hookIdx++] = hook;
-    return [hook.state, cell.dispatch];
+  function eachScope(data, list, i) {
+    return scopeData(data, list.values[i], {
+      '@index': i, '@key': list.keys ? list.keys[i] : i,
+      '@first': i === 0, '@last': i === list.values.length - 1
+    });
   }
 
-  function useEffect(effect, deps) {
-    var oldHook     = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
-    var depsChanged = !oldHook
-      || !deps
-      || deps.some(function (d, i) { return d !== (oldHook.deps && oldHook.deps[i]); });
+  /* ── Helpers & filters ──────────────────────────────────────────────────── */
+
+  /*
+   * One registry serves both uses:
+   *   {{ value | name arg … }}          filter  — fn(value, arg, …)
+   *   {{#name arg …}} … {{else}} … {{/name}}
+   *                                     block   — fn(arg, …, options)
+   * options = { name, data, fn(ctx), inverse(ctx) }; fn and inverse render the
+   * block's two halves, scoped to ctx when one is given.  Helpers run with
+   * `this` set to the current data.
+   */
+  var helpers = {
+    upper:   function (v) { return v == null ? v : String(v).toUpperCase(); },
+    lower:   function (v) { return v == null ? v : String(v).toLowerCase(); },
+    default: function (v, d) { return v == null || v === '' ? d : v; },
+    json:    function (v, indent) { return JSON.stringify(v, null, indent); },
+    prefix:  function (v, p) { return v == null ? v : p + v; },
+    suffix:  function (v, p) { return v == null ? v : v + p; },
+
+    truncate: function (v, n, tail) {
+      var str = v == null ? '' : String(v);
+      tail = tail == null ? '…' : tail;
+      n    = n == null ? 50 : n;
+      return str.length <= n ? str : str.slice(0, Math.max(0, n - tail.length)) + tail;
+    },
 
-    var hook = { deps: deps, cleanup: oldHook ? oldHook.cleanup : null };
+    /* {{ n | pluralize "track" }} → "1 track" / "3 tracks" */
+    pluralize: function (n, one, many) {
+      return n + ' ' + (Number(n) === 1 ? one : (many == null ? one + 's' : many));
+    },
 
-    if (depsChanged) {
-      wipFiber._pendingEffects = wipFiber._pendingEffects || [];
-      wipFiber._pendingEffects.push({
-        effect:     effect,
-        oldCleanup: oldHook ? oldHook.cleanup : null,
-        hook:       hook  /* commitRoot writes the new cleanup back here */
+    number: function (v, digits, locale) {
+      var n = Number(v);
+      if (v == null || v === '' || isNaN(n)) return v;
+      return n.toLocaleString(locale, digits == null ? undefined
+        : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    },
+
+    currency: function (v, code, locale) {
+      var n = Number(v);
+      if (v == null || v === '' || isNaN(n)) return v;
+      return n.toLocaleString(locale, { style: 'currency', currency: code || 'USD' });
+    },
+
+    /* format: short | medium | long | full | time | datetime | iso, or a
+       pattern of YYYY MM DD HH mm ss */
+    date: function (v, format, locale) {
+      var d = v instanceof Date ? v : new Date(v);
+      if (v == null || isNaN(d.getTime())) return '';
+      format = format || 'medium';
+      if (format === 'iso')      return d.toISOString();
+      if (format === 'time')     return d.toLocaleTimeString(locale);
+      if (format === 'datetime') return d.toLocaleString(locale);
+      if (/^(short|medium|long|full)$/.test(format)) return d.toLocaleDateString(locale, { dateStyle: format });
+      var pad = function (x) { return (x < 10 ? '0' : '') + x; };
+      return format.replace(/YYYY|MM|DD|HH|mm|ss/g, function (t) {
+        return t === 'YYYY' ? d.getFullYear()
+          : t === 'MM' ? pad(d.getMonth() + 1) : t === 'DD' ? pad(d.getDate())
+          : t === 'HH' ? pad(d.getHours())     : t === 'mm' ? pad(d.getMinutes())
+          : pad(d.getSeconds());
       });
     }
+  };
 
-    wipFiber.hooks[hookIdx++] = hook;
+  function registerHelper(name, fn) {
+    helpers[name] = fn;
   }
 
-  function useMemo(factory, deps) {
-    var oldHook     = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
-    var depsChanged = !oldHook
-      || !deps
-      || deps.some(function (d, i) { return d !== (oldHook.deps && oldHook.deps[i]); });
-
-    var hook = {
-      value: depsChanged ? factory() : oldHook.value,
-      deps:  deps
-    };
-    wipFiber.hooks[hookIdx++] = hook;
-    return hook.value;
+  function getHelper(name) {
+    if (!Object.prototype.hasOwnProperty.call(helpers, name)) {
+      throw new Error('Vertex.template: unknown helper "' + name + '"');
+    }
+    return helpers[name];
   }
 
-  function useCallback(fn, deps) {
-    /* eslint-disable-next-line no-unused-vars */
-    return useMemo(function () { return fn; }, deps);
+  /*
+   * parseArgs(src) → [arg] | null
+   *
+   * Splits helper arguments and pipes.  An arg is { value } for "double" or
+   * 'single' quoted strings, numbers, true, false and null, or { key } for
+   * a key path; a '|' separator comes back as the string '|'.  Returns null
+   * when src is not valid, so the tag is left in the output as text.
+   */
+  var _argRe = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\|)|([^\s|"']+))/g;
+
+  function parseArgs(src) {
+    var out = [], pos = 0, m, arg;
+    src = src.replace(/\s+$/, '');
+    while (pos < src.length) {
+      _argRe.lastIndex = pos;
+      m = _argRe.exec(src);
+      if (!m || m.index !== pos) return null;
+      pos = _argRe.lastIndex;
+      if (m[2]) { out.push('|'); continue; }
+      if (!(arg = argToken(m[1] || m[3]))) return null;
+      out.push(arg);
+    }
+    return out;
   }
 
-  function useRef(initial) {
-    var oldHook = wipFiber.alternate && wipFiber.alternate.hooks[hookIdx];
-    /* Ref object is stable across renders — same object reference always returned */
-    var hook    = oldHook || { current: typeof initial === 'function' ? initial() : initial };
-    wipFiber.hooks[hookIdx++] = hook;
-    return hook;
+  /* One literal or key path (../ prefixes allowed) → { value } | { key } | null */
+  function argToken(t) {
+    var q = t.charAt(0);
+    if (q === '"') { try { return { value: JSON.parse(t) }; } catch (_) { return null; } }
+    if (q === "'") return { value: t.slice(1, -1).replace(/\\(.)/g, '$1') };
+    if (/^-?\d+(\.\d+)?$/.test(t)) return { value: Number(t) };
+    if (t === 'true' || t === 'false' || t === 'null') return { value: JSON.parse(t) };
+    if (/^(\.\.\/)*[@\w.]+$/.test(t)) return { key: t };
+    return null;
   }
 
-  /* Context — per-fiber propagation via contextMap
-   *
-   * Each fiber carries a contextMap (plain object: ctx._id → value).
-   * Providers inject their value into this map; the map is inherited by
-   * all descendant fibers so nested and parallel contexts work correctly.
+  /*
+   * parseCond(src) → condition AST | null
    *
-   * Two Providers of the same context in different subtrees are completely
-   * independent. Nested Providers of the same context shadow correctly.
+   * The expressions accepted by {{#if}}, {{else if}}, {{#unless}}, {{#with}}
+   * and {{#each}}:  ||  &&  == != === !== < > <= >=  !  ( )  over literals
+   * and key paths.  Parsed by hand and evaluated by walking the AST
+   * (evalCond), so it works under a CSP that forbids eval.
+   *   leaf   → { key } | { value }
+   *   not    → { op:'!', arg }
+   *   binary → { op, left, right }
    */
-  var _ctxIdCounter = 0;
-
-  function createContext(defaultValue) {
-    var id  = _ctxIdCounter++;
-    var ctx = { _id: id, _defaultValue: defaultValue };
+  var _condRe = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(===|!==|==|!=|<=|>=|&&|\|\||[()!<>])|(-?\d+(?:\.\d+)?|(?:\.\.\/)*[@\w.]+))/g;
+  var _cmpOps = /^(===|!==|==|!=|<=|>=|<|>)$/;
+
+  function parseCond(src) {
+    var toks = [], pos = 0, i = 0, m, t;
+    src = src.replace(/\s+$/, '');
+    while (pos < src.length) {
+      _condRe.lastIndex = pos;
+      m = _condRe.exec(src);
+      if (!m || m.index !== pos) return null;
+      pos = _condRe.lastIndex;
+      if (!(t = m[2] ? { tok: m[2] } : argToken(m[1] || m[3]))) return null;
+      toks.push(t);
+    }
 
-    /* Provider — a function component that marks the current fiber so
-       updateFunctionComponent can write id→value into the contextMap
-       before reconciling children. */
-    ctx.Provider = function ProviderComponent(props) {
-      /* Tag this fiber for post-render contextMap update */
-      if (wipFiber) {
-        wipFiber._ctxProvide      = wipFiber._ctxProvide || {};
-        wipFiber._ctxProvide[id]  = props.value;
+    function peek() { return toks[i] && toks[i].tok; }
+    function binary(next, test) {
+      return function () {
+        var left = next();
+        while (peek() && test(peek())) {
+          var op = toks[i++].tok;
+          left = { op: op, left: left, right: next() };
+        }
+        return left;
+      };
+    }
+    function unary() {
+      if (peek() === '!') { i++; return { op: '!', arg: unary() }; }
+      var tk = toks[i++];
+      if (!tk) throw new Error('end');
+      if (tk.tok === '(') {
+        var inner = or();
+        if (peek() !== ')') throw new Error(')');
+        i++;
+        return inner;
       }
-      var children = props.children;
-      return Array.isArray(children) ? (children[0] || null) : (children || null);
-    };
-    ctx.Provider._vxCtxId = id; /* marker so devtools can identify it */
-
-    ctx.Consumer = function ConsumerComponent(props) {
-      var fn  = Array.isArray(props.children) ? props.children[0] : props.children;
-      var val = useContext(ctx);
-      return typeof fn === 'function' ? fn(val) : null;
-    };
+      if (tk.tok) throw new Error(tk.tok);
+      return tk;
+    }
+    var cmp = binary(unary, function (op) { return _cmpOps.test(op); });
+    var and = binary(cmp,   function (op) { return op === '&&'; });
+    var or  = binary(and,   function (op) { return op === '||'; });
 
-    return ctx;
+    try {
+      var cond = or();
+      return i === toks.length ? cond : null;
+    } catch (_) {
+      return null;
+    }
   }
 
-  function useContext(ctx) {
-    if (wipFiber && wipFiber.contextMap && ctx._id in wipFiber.contextMap) {
-      return wipFiber.contextMap[ctx._id];
+  function evalCond(c, data) {
+    if (!c.op) return evalArg(c, data);
+    if (c.op === '!')  return !evalCond(c.arg, data);
+    var l = evalCond(c.left, data);
+    if (c.op === '&&') return l && evalCond(c.right, data);
+    if (c.op === '||') return l || evalCond(c.right, data);
+    var r = evalCond(c.right, data);
+    switch (c.op) {
+      case '===': return l === r;
+      case '!==': return l !== r;
+      case '==':  return l == r;   /* jshint ignore:line */
+      case '!=':  return l != r;   /* jshint ignore:line */
+      case '<':   return l < r;
+      case '>':   return l > r;
+      case '<=':  return l <= r;
+      default:    return l >= r;
     }
-    return ctx._defaultValue;
   }
 
-  /* Fragment: returns children to the reconciler as a flat array */
-  function Fragment(props) { return props.children; }
-
-  /* lazy: throws a Promise (Suspense protocol) until module resolves.
-     The single thenable is stored and re-thrown on each render attempt so
-     factory() is called exactly once regardless of how many times the
-     component tries to render before the module arrives. */
-  function lazy(factory) {
-    var status   = 'pending';
-    var Component;
-    var thenable = factory().then(function (mod) {
-      status    = 'resolved';
-      Component = mod.default || mod;
-    });
-    return function LazyWrapper(props) {
-      if (status === 'resolved') return createElement(Component, props);
-      throw thenable; /* re-throw the same promise — no second fetch */
-    };
+  /*
+   * parseExpr(src) → { head, pipes:[{ name, args }] } | null
+   *
+   *   price | number 2 | prefix "£"
+   */
+  function parseExpr(src) {
+    var toks = parseArgs(src);
+    if (!toks || !toks.length || toks[0] === '|') return null;
+    var expr = { head: toks[0], pipes: [] };
+    for (var i = 1; i < toks.length; i++) {
+      if (toks[i] !== '|') {
+        if (!expr.pipes.length) return null;   /* two values with no pipe between */
+        expr.pipes[expr.pipes.length - 1].args.push(toks[i]);
+      } else {
+        var name = toks[++i];
+        if (!name || !name.key || !/^[\w$]+$/.test(name.key)) return null;
+        expr.pipes.push({ name: name.key, args: [] });
+      }
+    }
+    return expr;
   }
 
-  /* ═══════════════════════════════════════════════════════════════════════════
-     §3  TEMPLATE ENGINE  —  Vertex.template
-         Mustache {{ }}, {{{ unescaped }}}, {{#if}}, {{#each}}, two-way
-         data-bind, and Vertex.template.load(url) for remote template loading.
-         Set Vertex.template.load.baseUri to avoid repeating the path prefix.
-  ═══════════════════════════════════════════════════════════════════════════ */
-
-  /* Single-pass HTML escape — one regex, one string allocation */
-  var _escMap = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
-  var _escRe  = /[&<>"']/g;
-  function escHtml(s) {
-    return String(s).replace(_escRe, function (c) { return _escMap[c]; });
+  function evalArg(arg, data) {
+    return arg.key != null ? resolvePath(data, arg.key) : arg.value;
   }
 
-  function resolvePath(obj, path) {
-    return path.split('.').reduce(function (o, k) {
-      return o != null ? o[k] : undefined;
-    }, obj);
+  function evalExpr(expr, data) {
+    /* Helpers are looked up outermost first, as the compiled call nesting
+       does, so an unknown one fails the same way in both modes */
+    var fns = [], i;
+    for (i = expr.pipes.length - 1; i >= 0; i--) fns[i] = getHelper(expr.pipes[i].name);
+    var v = evalArg(expr.head, data);
+    for (i = 0; i < expr.pipes.length; i++) {
+      v = fns[i].apply(data, [v].concat(expr.pipes[i].args.map(function (a) { return evalArg(a, data); })));
+    }
+    return v;
   }
 
-  function parseTemplate(tmpl, data) {
-    /* {{#each keyPath}} ... {{/each}} */
-    tmpl = tmpl.replace(
-      /\{\{#each\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/each\}\}/g,
-      function (_, key, inner) {
-        var arr = resolvePath(data, key);
-        if (!Array.isArray(arr)) return '';
-        return arr.map(function (item, idx) {
-          var ctx = Object.assign(
-            {},
-            data,
-            typeof item === 'object' && item !== null ? item : { '.': item },
-            { '@index': idx }
-          );
-          return parseTemplate(inner, ctx);
-        }).join('');
-      }
-    );
-
-    /* {{#if keyPath}} ... {{else}} ... {{/if}} */
-    tmpl = tmpl.replace(
-      /\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
-      function (_, key, truthy, falsy) {
-        return resolvePath(data, key)
-          ? parseTemplate(truthy, data)
-          : parseTemplate(falsy || '', data);
-      }
-    );
-
-    /* {{{ unescaped }}} — @ allowed for @index, @key, etc. */
-    tmpl = tmpl.replace(/\{\{\{([@\w.]+)\}\}\}/g, function (_, key) {
-      var v = resolvePath(data, key);
-      return v !== undefined ? String(v) : '';
-    });
-
-    /* {{ escaped }} */
-    tmpl = tmpl.replace(/\{\{([@\w.]+)\}\}/g, function (_, key) {
-      var v = resolvePath(data, key);
-      return v !== undefined ? escHtml(v) : '';
-    });
-
-    return tmpl;
+  /*
+   * parseTemplate(src, data) → html — one-shot render of a template string.
+   * Goes through the interpreter, so it works under any CSP.
+   */
+  function parseTemplate(src, data) {
+    return renderNodes(tokenizeTemplate(src), data || {}, null);
   }
 
   /* ── Template compiler ──────────────────────────────────────────────────── */
 
+  /* Block tags with their own syntax; any other {{#name}} is a helper */
+  var BLOCK_TAGS = /^(each|if|unless|with|extends|block)$/;
+
   /*
    * tokenizeTemplate(src) → token AST
    *
-   * Token types: text | var | raw | each | if
-   *   each → { type:'each', key, children:[] }
-   *   if   → { type:'if',   key, truthy:[], falsy:[] }
+   * Token types: text | var | raw | each | if | helper | partial | extends | block
+   *   var     → { type:'var',     expr }            expr from parseExpr()
+   *   raw     → { type:'raw',     expr }
+   *   each    → { type:'each',    cond, children:[], inverse:[] }
+   *   if      → { type:'if',      cond, truthy:[], falsy:[] }
+   *   with    → { type:'with',    cond, children:[], inverse:[] }
+   *   helper  → { type:'helper',  name, args:[], children:[], inverse:[] }
+   *   partial → { type:'partial', name, key }       key may be null
+   *   extends → { type:'extends', name, children:[] }
+   *   block   → { type:'block',   name, children:[] }
+   *
+   * cond is a parseCond() AST.  {{#unless x}} is an if on !x, and
+   * {{else if y}} nests another if in the falsy branch, closed by the
+   * same {{/if}}.  A tag that does not parse is kept as text, as is a
+   * closing tag that does not match the innermost open block.
    */
   function tokenizeTemplate(src) {
-    var re = /\{\{\{([@\w.]+)\}\}\}|\{\{#each\s+([\w.]+)\s*\}\}|\{\{\/each\}\}|\{\{#if\s+([\w.]+)\s*\}\}|\{\{else\}\}|\{\{\/if\}\}|\{\{([@\w.]+)\}\}/g;
-    var root    = [];
-    var stack   = [root];   /* stack of child arrays */
-    var ifStack = [];       /* stack of current {{#if}} nodes */
-    var last    = 0;
-    var m;
+    var re    = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+    var root  = [];
+    var stack = [root];   /* stack of child arrays */
+    var open  = [];       /* stack of open blocks: { node, tag } */
+    var last  = 0;
+    var m, tag, mm, node, top;
+
+    function push(n) { stack[stack.length - 1].push(n); }
 
     while ((m = re.exec(src)) !== null) {
-      if (m.index > last) {
-        stack[stack.length - 1].push({ type: 'text', value: src.slice(last, m.index) });
-      }
+      if (m.index > last) push({ type: 'text', value: src.slice(last, m.index) });
       last = re.lastIndex;
+      tag  = m[1] || m[2];
+      node = null;
+      top  = open[open.length - 1];
+
+      if (m[1]) {                                          /* {{{ raw }}} */
+        mm = parseExpr(tag);
+        if (mm) node = { type: 'raw', expr: mm };
+      } else if ((mm = /^else(?:\s+if\s+([\s\S]+))?$/.exec(tag))) {
+        var elseIf = mm[1] && parseCond(mm[1]);
+        if (top && top.node.type === 'if' && (elseIf || !mm[1])) {
+          stack.pop();
+          if (elseIf) {                                    /* {{else if expr}} */
+            node = { type: 'if', cond: elseIf, truthy: [], falsy: [] };
+            top.node.falsy.push(node);
+            top.node = node;
+            stack.push(node.truthy);
+          } else {                                         /* {{else}} */
+            stack.push(top.node.falsy);
+          }
+          continue;
+        }
+        if (top && top.node.inverse && !mm[1]) {
+          stack.pop();
+          stack.push(top.node.inverse);
+          continue;
+        }
+      } else if ((mm = /^\/([\w$]+)$/.exec(tag))) {        /* {{/name}} */
+        if (top && top.tag === mm[1]) {
+          stack.pop();
+          open.pop();
+          continue;
+        }
+      } else if ((mm = /^#([\w$]+)(?:\s+([\s\S]*))?$/.exec(tag))) {
+        var arg  = mm[2] || '';
+        var cond = /^(each|if|unless|with)$/.test(mm[1]) && parseCond(arg);
+        if (cond) {                                        /* {{#each|if|unless|with expr}} */
+          node = mm[1] === 'if'     ? { type: 'if', cond: cond, truthy: [], falsy: [] }
+               : mm[1] === 'unless' ? { type: 'if', cond: { op: '!', arg: cond }, truthy: [], falsy: [] }
+               : { type: mm[1], cond: cond, children: [], inverse: [] };
+        } else if (mm[1] === 'extends' || mm[1] === 'block') {
+          if (/^[\w.\/-]+$/.test(arg)) node = { type: mm[1], name: arg, children: [] };
+        } else if (!BLOCK_TAGS.test(mm[1])) {              /* {{#helper args}} */
+          var args = parseArgs(arg);
+          if (args && args.indexOf('|') < 0) {
+            node = { type: 'helper', name: mm[1], args: args, children: [], inverse: [] };
+          }
+        }
+        if (node) {
+          push(node);
+          open.push({ node: node, tag: mm[1] });
+          stack.push(node.type === 'if' ? node.truthy : node.children);
+          continue;
+        }
+      } else if ((mm = /^>\s*([\w.\/-]+)(?:\s+((?:\.\.\/)*[@\w.]+))?$/.exec(tag))) {
+        node = { type: 'partial', name: mm[1], key: mm[2] || null };   /* {{> partial key}} */
+      } else {                                             /* {{ escaped }} */
+        mm = parseExpr(tag);
+        if (mm) node = { type: 'var', expr: mm };
+      }
 
-      if (m[1]) {                         /* {{{ raw }}} */
-        stack[stack.length - 1].push({ type: 'raw', key: m[1] });
-      } else if (m[2]) {                  /* {{#each key}} */
-        var eNode = { type: 'each', key: m[2], children: [] };
-        stack[stack.length - 1].push(eNode);
-        stack.push(eNode.children);
-      } else if (m[0] === '{{/each}}') {
-        stack.pop();
-      } else if (m[3]) {                  /* {{#if key}} */
-        var iNode = { type: 'if', key: m[3], truthy: [], falsy: [] };
-        stack[stack.length - 1].push(iNode);
-        ifStack.push(iNode);
-        stack.push(iNode.truthy);
-      } else if (m[0] === '{{else}}') {
-        stack.pop();
-        stack.push(ifStack[ifStack.length - 1].falsy);
-      } else if (m[0] === '{{/if}}') {
-        stack.pop();
-        ifStack.pop();
-      } else if (m[4]) {                  /* {{ escaped }} */
-        stack[stack.length - 1].push({ type: 'var', key: m[4] });
-      }
-    }
-
-    if (last < src.length) {
-      stack[stack.length - 1].push({ type: 'text', value: src.slice(last) });
+      push(node || { type: 'text', value: m[0] });
     }
+
+    if (last < src.length) push({ type: 'text', value: src.slice(last) });
     return root;
   }
 
@@ -1261,6 +4208,33 @@ function (global) {
    * For simple (non-dotted, non-@) keys the generated code uses direct
    * bracket access, avoiding a resolvePath() call and split() per token.
    */
+  function accessCode(key, dataVar) {
+    return key === '.' || (key.indexOf('.') < 0 && key.indexOf('@') < 0)
+      ? (dataVar + '[' + JSON.stringify(key) + ']')
+      : ('_rp(' + dataVar + ',' + JSON.stringify(key) + ')');
+  }
+
+  function argCode(arg, dataVar) {
+    return arg.key != null ? accessCode(arg.key, dataVar) : JSON.stringify(arg.value);
+  }
+
+  /* A parseCond() AST as a JS expression */
+  function condCode(c, dataVar) {
+    if (!c.op) return argCode(c, dataVar);
+    if (c.op === '!') return '!' + condCode(c.arg, dataVar);
+    return '(' + condCode(c.left, dataVar) + c.op + condCode(c.right, dataVar) + ')';
+  }
+
+  /* value | f a | g → _h("g").call(data,_h("f").call(data,value,a)) */
+  function exprCode(expr, dataVar) {
+    var code = argCode(expr.head, dataVar);
+    expr.pipes.forEach(function (p) {
+      code = '_h(' + JSON.stringify(p.name) + ').call(' + dataVar + ',' + code +
+        p.args.map(function (a) { return ',' + argCode(a, dataVar); }).join('') + ')';
+    });
+    return code;
+  }
+
   function codegenNodes(nodes, dataVar, ctr) {
     var NL   = '\n';   /* newline literal for generated code lines */
     var code = '';
@@ -1272,58 +4246,297 @@ function (global) {
         code += '_o+=' + JSON.stringify(n.value) + ';' + NL;
 
       } else if (n.type === 'var') {
-        var acc = (n.key.indexOf('.') < 0 && n.key.indexOf('@') < 0)
-          ? (dataVar + '[' + JSON.stringify(n.key) + ']')
-          : ('_rp(' + dataVar + ',' + JSON.stringify(n.key) + ')');
-        code += 'var _v' + uid + '=' + acc + ';_o+=_v' + uid + '!==undefined?_esc(_v' + uid + '):"";' + NL;
+        code += 'var _v' + uid + '=' + exprCode(n.expr, dataVar) + ';_o+=_v' + uid + '!==undefined?_esc(_v' + uid + '):"";' + NL;
 
       } else if (n.type === 'raw') {
-        var accR = (n.key.indexOf('.') < 0 && n.key.indexOf('@') < 0)
-          ? (dataVar + '[' + JSON.stringify(n.key) + ']')
-          : ('_rp(' + dataVar + ',' + JSON.stringify(n.key) + ')');
-        code += 'var _r' + uid + '=' + accR + ';_o+=_r' + uid + '!==undefined?String(_r' + uid + '):"";' + NL;
+        code += 'var _r' + uid + '=' + exprCode(n.expr, dataVar) + ';_o+=_r' + uid + '!==undefined?String(_r' + uid + '):"";' + NL;
+
+      } else if (n.type === 'helper') {
+        /* fn / inverse render their half with the data, or scoped to ctx */
+        var half = function (kids) {
+          var sV = '_s' + ctr[0]++;
+          return 'function(_c){var ' + sV + '=_c===undefined?' + dataVar + ':_sc(' + dataVar + ',_c);var _o="";' + NL +
+            codegenNodes(kids, sV, ctr) + 'return _o;}';
+        };
+        var hArgs = n.args.map(function (a) { return argCode(a, dataVar) + ','; }).join('');
+        code += 'var _hb' + uid + '=_h(' + JSON.stringify(n.name) + ').call(' + dataVar + ',' + hArgs +
+          '{name:' + JSON.stringify(n.name) + ',data:' + dataVar + ',fn:' + half(n.children) + ',inverse:' + half(n.inverse) + '});' + NL;
+        code += '_o+=_hb' + uid + '==null?"":String(_hb' + uid + ');' + NL;
 
       } else if (n.type === 'each') {
-        var arrV = '_arr' + uid, itmV = '_itm' + uid, idxV = '_idx' + uid;
-        code += 'var ' + arrV + '=_rp(' + dataVar + ',' + JSON.stringify(n.key) + ');' + NL;
-        code += 'if(Array.isArray(' + arrV + ')){for(var ' + idxV + '=0;' + idxV + '<' + arrV + '.length;' + idxV + '++){' + NL;
-        code += 'var ' + itmV + '=Object.assign({},' + dataVar + ',typeof ' + arrV + '[' + idxV + ']==="object"&&' + arrV + '[' + idxV + ']!==null?' + arrV + '[' + idxV + ']:{".":'+ arrV + '[' + idxV + ']},{"@index":' + idxV + '});' + NL;
+        var lstV = '_lst' + uid, itmV = '_itm' + uid, idxV = '_idx' + uid;
+        code += 'var ' + lstV + '=_it(' + condCode(n.cond, dataVar) + ');' + NL;
+        code += 'if(' + lstV + '){for(var ' + idxV + '=0;' + idxV + '<' + lstV + '.values.length;' + idxV + '++){' + NL;
+        code += 'var ' + itmV + '=_es(' + dataVar + ',' + lstV + ',' + idxV + ');' + NL;
         code += codegenNodes(n.children, itmV, ctr);
-        code += '}}' + NL;
+        code += '}}' + (n.inverse.length ? 'else{' + NL + codegenNodes(n.inverse, dataVar, ctr) + '}' : '') + NL;
+
+      } else if (n.type === 'with') {
+        var wV = '_w' + uid;
+        code += 'var ' + wV + '=' + condCode(n.cond, dataVar) + ';' + NL;
+        code += 'if(' + wV + '){' + NL + 'var _ws' + uid + '=_sc(' + dataVar + ',' + wV + ');' + NL;
+        code += codegenNodes(n.children, '_ws' + uid, ctr);
+        code += '}' + (n.inverse.length ? 'else{' + NL + codegenNodes(n.inverse, dataVar, ctr) + '}' : '') + NL;
 
       } else if (n.type === 'if') {
-        var condV = (n.key.indexOf('.') < 0 && n.key.indexOf('@') < 0)
-          ? (dataVar + '[' + JSON.stringify(n.key) + ']')
-          : ('_rp(' + dataVar + ',' + JSON.stringify(n.key) + ')');
-        code += 'if(' + condV + '){' + NL;
+        code += 'if(' + condCode(n.cond, dataVar) + '){' + NL;
         code += codegenNodes(n.truthy, dataVar, ctr);
         if (n.falsy && n.falsy.length) {
           code += '}else{' + NL;
           code += codegenNodes(n.falsy, dataVar, ctr);
         }
         code += '}' + NL;
+
+      } else if (n.type === 'partial') {
+        code += '_o+=_p(' + JSON.stringify(n.name) + ',' + dataVar + ',null,' + JSON.stringify(n.key) + ');' + NL;
+
+      } else if (n.type === 'block') {
+        /* _b holds the overrides passed in when this template is a layout */
+        var bKey = JSON.stringify(n.name);
+        code += 'if(_b&&_b[' + bKey + ']){_o+=_b[' + bKey + ']();}else{' + NL;
+        code += codegenNodes(n.children, dataVar, ctr);
+        code += '}' + NL;
+
+      } else if (n.type === 'extends') {
+        /* Only the {{#block}}s directly inside {{#extends}} are kept; each
+           becomes a closure over the current data, and overrides from
+           further down the chain (_b) win */
+        var own = n.children.filter(function (c) { return c.type === 'block'; });
+        code += '_o+=_p(' + JSON.stringify(n.name) + ',' + dataVar + ',Object.assign({' + NL;
+        code += own.map(function (b) {
+          return JSON.stringify(b.name) + ':function(){var _o="";' + NL +
+            codegenNodes(b.children, dataVar, ctr) + 'return _o;}';
+        }).join(',' + NL);
+        code += '},_b));' + NL;
       }
     }
     return code;
   }
 
   /*
-   * compileTemplate(src) → function(data, escFn, rpFn) | null
+   * compileTemplate(nodes) → function(data, blocks, runtime) | null
    *
-   * Returns null if new Function() is blocked (e.g. strict CSP).
-   * The caller falls back to parseTemplate() in that case.
+   * nodes is a tokenizeTemplate() AST.  runtime is templateRuntime,
+   * unpacked into the short names the generated code uses.  Returns null
+   * if new Function() is blocked (e.g. strict CSP); the caller interprets
+   * the same AST with renderNodes() in that case.
    */
-  function compileTemplate(src) {
+  var templateRuntime = {
+    esc: escHtml, rp: resolvePath, partial: renderPartial, helper: getHelper,
+    entries: eachEntries, each: eachScope, scope: scopeData
+  };
+
+  function compileTemplate(nodes) {
     try {
-      var nodes = tokenizeTemplate(src);
       var NL    = '\n';
-      var body  = '"use strict";var _o="";' + NL + codegenNodes(nodes, 'data', [0]) + 'return _o;';
-      return new Function('data', '_esc', '_rp', body); /* jshint ignore:line */
+      var body  = '"use strict";var _o="";' + NL +
+        'var _esc=_rt.esc,_rp=_rt.rp,_p=_rt.partial,_h=_rt.helper,_it=_rt.entries,_es=_rt.each,_sc=_rt.scope;' + NL +
+        codegenNodes(nodes, 'data', [0]) + 'return _o;';
+      return new Function('data', '_b', '_rt', body); /* jshint ignore:line */
     } catch (_e) {
       return null;
     }
   }
 
+  /* ── Template interpreter ───────────────────────────────────────────────── */
+
+  /*
+   * renderNodes(nodes, data, blocks) → html
+   *
+   * Walks the token AST directly: the CSP-safe twin of codegenNodes, used
+   * when new Function is blocked or interpret mode is on.  Every case does
+   * what the code codegenNodes emits for that node does, in the same order,
+   * so both modes render identical output (see Template.parity).
+   */
+  function renderNodes(nodes, data, blocks) {
+    var out = '';
+    for (var i = 0; i < nodes.length; i++) out += renderNode(nodes[i], data, blocks);
+    return out;
+  }
+
+  function renderNode(n, data, blocks) {
+    var v, list, out, i;
+    switch (n.type) {
+      case 'text':
+        return n.value;
+
+      case 'var':
+        v = evalExpr(n.expr, data);
+        return v !== undefined ? escHtml(v) : '';
+
+      case 'raw':
+        v = evalExpr(n.expr, data);
+        return v !== undefined ? String(v) : '';
+
+      case 'if':
+        return renderNodes(evalCond(n.cond, data) ? n.truthy : n.falsy, data, blocks);
+
+      case 'with':
+        v = evalCond(n.cond, data);
+        return v ? renderNodes(n.children, scopeData(data, v), blocks) : renderNodes(n.inverse, data, blocks);
+
+      case 'each':
+        list = eachEntries(evalCond(n.cond, data));
+        if (!list) return renderNodes(n.inverse, data, blocks);
+        for (out = '', i = 0; i < list.values.length; i++) {
+          out += renderNodes(n.children, eachScope(data, list, i), blocks);
+        }
+        return out;
+
+      case 'helper':
+        var half = function (kids) {
+          return function (ctx) {
+            return renderNodes(kids, ctx === undefined ? data : scopeData(data, ctx), blocks);
+          };
+        };
+        var fn = getHelper(n.name);
+        v = fn.apply(data, n.args.map(function (a) { return evalArg(a, data); }).concat({
+          name: n.name, data: data, fn: half(n.children), inverse: half(n.inverse)
+        }));
+        return v == null ? '' : String(v);
+
+      case 'partial':
+        return renderPartial(n.name, data, null, n.key, true);
+
+      case 'block':
+        return blocks && blocks[n.name] ? blocks[n.name]() : renderNodes(n.children, data, blocks);
+
+      case 'extends':
+        var own = {};
+        n.children.forEach(function (b) {
+          if (b.type === 'block') own[b.name] = function () { return renderNodes(b.children, data, blocks); };
+        });
+        return renderPartial(n.name, data, Object.assign(own, blocks), null, true);
+    }
+    return '';
+  }
+
+  /* ── DOM morphing ───────────────────────────────────────────────────────── */
+
+  /*
+   * morphChildren(live, next)
+   *
+   * Re-renders patch the template's existing nodes instead of replacing
+   * innerHTML, so focus, selection, scroll position, media playback and
+   * running transitions survive a data change.  Children are matched by
+   * id / data-key when they have one and by position otherwise; a match
+   * needs the same node type and tag.  Unmatched new nodes are moved in
+   * from the parsed fragment and unmatched live nodes are removed.
+   *
+   * Elements hosting a reconciler root (container._vxRoot) or marked with
+   * data-preserve keep their children: only their attributes are patched,
+   * so foreign DOM mounted inside them is left alone.
+   */
+  function morphKey(node) {
+    if (node.nodeType !== 1) return null;
+    return node.getAttribute('data-key') || node.id || null;
+  }
+
+  function morphSame(a, b) {
+    return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+  }
+
+  function morphAttrs(live, next) {
+    var i, a;
+    for (i = 0; i < next.attributes.length; i++) {
+      a = next.attributes[i];
+      if (a.namespaceURI) {
+        if (live.getAttributeNS(a.namespaceURI, a.localName) !== a.value) {
+          live.setAttributeNS(a.namespaceURI, a.name, a.value);
+        }
+      } else if (live.getAttribute(a.name) !== a.value) {
+        live.setAttribute(a.name, a.value);
+      }
+    }
+    for (i = live.attributes.length - 1; i >= 0; i--) {
+      a = live.attributes[i];
+      if (a.namespaceURI) {
+        if (!next.hasAttributeNS(a.namespaceURI, a.localName)) live.removeAttributeNS(a.namespaceURI, a.localName);
+      } else if (!next.hasAttribute(a.name)) {
+        live.removeAttribute(a.name);
+      }
+    }
+  }
+
+  function morphNode(live, next) {
+    if (live.nodeType !== 1) {
+      if (live.nodeValue !== next.nodeValue) live.nodeValue = next.nodeValue;
+      return;
+    }
+    var tag = live.nodeName;
+    /* Form state lives in properties; follow the markup only where it
+       changed, so whatever the user typed or ticked is otherwise kept */
+    var prevValue   = live.getAttribute('value');
+    var prevChecked = live.hasAttribute('checked');
+    var prevSel     = live.hasAttribute('selected');
+    morphAttrs(live, next);
+    if (tag === 'INPUT') {
+      if (next.getAttribute('value') !== prevValue) live.value = next.getAttribute('value') || '';
+      if (next.hasAttribute('checked') !== prevChecked) live.checked = next.hasAttribute('checked');
+    } else if (tag === 'OPTION') {
+      if (next.hasAttribute('selected') !== prevSel) live.selected = next.hasAttribute('selected');
+    }
+    if (live._vxRoot || live.hasAttribute('data-preserve')) return;
+    if (tag === 'TEXTAREA') {
+      if (live.defaultValue !== next.textContent) live.value = live.defaultValue = next.textContent;
+      return;
+    }
+    morphChildren(live, next);
+  }
+
+  function morphChildren(live, next) {
+    var keyed = {};
+    var cur, n, nn, k, match;
+    for (cur = live.firstChild; cur; cur = cur.nextSibling) {
+      k = morphKey(cur);
+      if (k && !keyed[k]) keyed[k] = cur;
+    }
+    cur = live.firstChild;
+    for (n = next.firstChild; n; n = nn) {
+      nn = n.nextSibling;
+      k = morphKey(n);
+      match = null;
+      if (k) {
+        if (keyed[k] && morphSame(keyed[k], n)) match = keyed[k];
+        delete keyed[k];
+      } else if (cur && !morphKey(cur) && morphSame(cur, n)) {
+        match = cur;
+      }
+      if (!match) {
+        live.insertBefore(n, cur);
+        continue;
+      }
+      if (match === cur) cur = cur.nextSibling;
+      else live.insertBefore(match, cur);
+      morphNode(match, n);
+    }
+    while (cur) {
+      nn = cur.nextSibling;
+      morphRemove(cur);
+      cur = nn;
+    }
+  }
+
+  /* A removed node takes any reconciler roots inside it down with it */
+  function morphRemove(node) {
+    (function unmountRoots(el) {
+      if (el._vxRoot) el._vxRoot.unmount();
+      for (var c = el.firstChild; c; c = c.nextSibling) unmountRoots(c);
+    })(node);
+    node.parentNode.removeChild(node);
+  }
+
+  /* Parse html with the live element's document; <template> content accepts
+     table rows and other context-sensitive markup anywhere */
+  function parseFragment(el, html) {
+    var box = el.ownerDocument.createElement('template');
+    box.innerHTML = html;
+    if (box.content) return box.content;
+    box = el.ownerDocument.createElement(el.nodeName);
+    box.innerHTML = html;
+    return box;
+  }
+
   /* ── Template constructor ────────────────────────────────────────────────── */
 
   function Template(options) {
@@ -1334,8 +4547,11 @@ function (global) {
     this._data     = Object.assign({}, options.data || {});
     this._handlers = {};
 
-    /* Compile once at construction time */
-    this._compiled = compileTemplate(this._template);
+    /* Tokenize once at construction time, and compile unless interpret
+       mode is on (options.interpret, or Vertex.template.interpret globally) */
+    this._nodes     = tokenizeTemplate(this._template);
+    this._interpret = !!options.interpret;
+    this._compiled  = this._interpret ? null : compileTemplate(this._nodes);
 
     if (options.computed) {
       var self = this;
@@ -1348,6 +4564,17 @@ function (global) {
       });
     }
 
+    /* store + select: the selected slice is merged into data, and the
+       template re-renders whenever that slice changes */
+    if (options.store) {
+      var tmpl   = this;
+      var select = options.select || function (s) { return s; };
+      Object.assign(this._data, select(options.store.getState()));
+      this._unsubscribe = options.store.select(select, function (slice) {
+        tmpl.update(slice);
+      }, options.selectEqual);
+    }
+
     this._render();
     if (typeof options.oncomplete === 'function') options.oncomplete.call(this);
   }
@@ -1357,50 +4584,34 @@ function (global) {
 
     _render: function () {
       if (!this._el) return;
-
-      /* ── Save focus / cursor state before replacing innerHTML ── */
-      var savedBind  = null;
-      var savedStart = 0;
-      var savedEnd   = 0;
-      var savedDir   = 'none';
-      if (typeof document !== 'undefined' && document.activeElement &&
-          this._el.contains(document.activeElement)) {
-        var ae = document.activeElement;
-        savedBind  = ae.getAttribute('data-bind');
-        try {
-          savedStart = ae.selectionStart  || 0;
-          savedEnd   = ae.selectionEnd    || 0;
-          savedDir   = ae.selectionDirection || 'none';
-        } catch (_) { /* non-text inputs throw on selectionStart access */ }
-      }
-
-      /* Use the pre-compiled function if available; fall back to regex parser */
-      var html = this._compiled
-        ? this._compiled(this._data, escHtml, resolvePath)
-        : parseTemplate(this._template, this._data);
-      this._el.innerHTML = html;
+      var html = this.html();
+      /* Patch the live DOM in place — nodes that survive keep their focus,
+         selection and any foreign content (see morphChildren) */
+      morphChildren(this._el, parseFragment(this._el, html));
       this._bindInputs();
+    },
 
-      /* ── Restore focus and cursor position ── */
-      if (savedBind) {
-        var target = this._el.querySelector('[data-bind="' + savedBind + '"]');
-        if (target) {
-          target.focus();
-          try { target.setSelectionRange(savedStart, savedEnd, savedDir); } catch (_) {}
-        }
-      }
+    /* The markup for the current data, without touching el.  Uses the
+       pre-compiled function if available; otherwise interprets. */
+    html: function () {
+      return this._compiled && !Template.interpret
+        ? this._compiled(this._data, null, templateRuntime)
+        : renderNodes(this._nodes, this._data, null);
     },
 
-    /* Two-way binding: <input data-bind="key.path"> */
+    /* Two-way binding: <input data-bind="key.path">.  Inputs kept across
+       renders are listened to once; their key is read at event time. */
     _bindInputs: function () {
       var self = this;
       Array.from(this._el.querySelectorAll('[data-bind]')).forEach(function (input) {
-        var key  = input.getAttribute('data-bind');
-        var val  = resolvePath(self._data, key);
-        if (val !== undefined) input.value = val;
+        var val = resolvePath(self._data, input.getAttribute('data-bind'));
+        /* Only write when different, so the caret of a focused input stays put */
+        if (val !== undefined && input.value !== String(val)) input.value = val;
 
+        if (input._vxBound === self) return;
+        input._vxBound = self;
         input.addEventListener('input', function () {
-          self.set(key, input.value);
+          self.set(input.getAttribute('data-bind'), input.value);
         });
       });
     },
@@ -1450,7 +4661,8 @@ function (global) {
     },
 
     teardown: function () {
-      if (this._el) this._el.innerHTML = '';
+      if (this._unsubscribe) { this._unsubscribe(); this._unsubscribe = null; }
+      if (this._el) while (this._el.firstChild) morphRemove(this._el.firstChild);
       this._handlers = {};
     }
   };
@@ -1466,23 +4678,74 @@ function (global) {
    *                    Absolute URLs (starting with http://, https://, or /)
    *                    and URLs that already start with the baseUri are used
    *                    as-is, so fully-qualified paths always work unchanged.
+   *
+   * Every <template id="…"> in the file is registered as a partial first.
    */
   Template.load = function (url, options) {
+    return fetchTemplateFile(url, 'load').then(function (file) {
+      /* The template without an id is the one mounted; with none, the first */
+      var tmplEl = file.box.querySelector('template:not([id])') || file.box.querySelector('template');
+      return new Template(Object.assign({ template: tmplEl ? templateSource(tmplEl) : file.html }, options || {}));
+    });
+  };
+
+  /**
+   * Template.loadPartials(url) — fetch a file and register its <template id>
+   * elements as partials without mounting anything.  Resolves to the names
+   * registered.  Relative URLs use Template.load.baseUri.
+   */
+  Template.loadPartials = function (url) {
+    return fetchTemplateFile(url, 'loadPartials').then(function (file) {
+      return registerPartials(file.box);
+    });
+  };
+
+  /* Fetch a template file and register the <template id> partials in it */
+  function fetchTemplateFile(url, caller) {
     var base     = typeof Template.load.baseUri === 'string' ? Template.load.baseUri : '';
     var absolute = /^(https?:\/\/|\/)/.test(url);
     var resolved = (!absolute && base) ? (base.replace(/\/$/, '') + '/' + url.replace(/^\//, '')) : url;
 
     return fetch(resolved)
       .then(function (res) {
-        if (!res.ok) throw new Error('Vertex.template.load: HTTP ' + res.status + ' — ' + resolved);
+        if (!res.ok) throw new Error('Vertex.template.' + caller + ': HTTP ' + res.status + ' — ' + resolved);
         return res.text();
       })
       .then(function (html) {
-        var div    = document.createElement('div');
-        div.innerHTML = html;
-        var tmplEl = div.querySelector('template');
-        return new Template(Object.assign({ template: tmplEl ? tmplEl.innerHTML : html }, options || {}));
+        var box = document.createElement('div');
+        box.innerHTML = html;
+        registerPartials(box);
+        return { html: html, box: box };
       });
+  }
+
+  /**
+   * Template.interpret — set true to interpret every template (and partial)
+   * instead of running compiled code, e.g. to test what a strict CSP will
+   * render.  Per instance, pass { interpret: true }.
+   */
+  Template.interpret = false;
+
+  /**
+   * Template.parity(src, data) → { equal, compiled, interpreted }
+   *
+   * Renders src both ways and compares the output, for checking that a
+   * template renders the same with and without new Function.
+   */
+  Template.parity = function (src, data) {
+    var nodes = tokenizeTemplate(src);
+    var fn    = compileTemplate(nodes);
+    if (!fn) throw new Error('Vertex.template.parity: new Function is unavailable, nothing to compare');
+    var compiled    = fn(data || {}, null, templateRuntime);
+    var interpreted = renderNodes(nodes, data || {}, null);
+    return { equal: compiled === interpreted, compiled: compiled, interpreted: interpreted };
+  };
+
+  /* Partial and helper registries — see registerPartial(), registerHelper() */
+  Template.registerPartial  = registerPartial;
+  Template.registerHelper   = registerHelper;
+  Template.registerPartials = function (root) {
+    return registerPartials(root || document);
   };
 
   /** Default baseUri — set this to avoid repeating the path on every load() call. */
@@ -1650,18 +4913,41 @@ function (global) {
     createElement:     createElement,
     createTextElement: createTextElement,
     render:            render,
+    hydrate:           hydrate,
     Fragment:          Fragment,
     lazy:              lazy,
+    Suspense:          Suspense,
+    ErrorBoundary:     ErrorBoundary,
+    memo:              memo,
+    forwardRef:        forwardRef,
     createContext:     createContext,
+    createStore:       createStore,
+    createPortal:      createPortal,
+    flushSync:         flushSync,
+    startTransition:   startTransition,
+    renderToString:    renderToString,
+    renderToStream:    renderToStream,
+    config:            config,
+    devtools:          devtools,
+    test:              Test,
 
     /* ── Hooks ── */
     useState:          useState,
     useReducer:        useReducer,
     useEffect:         useEffect,
+    useLayoutEffect:   useLayoutEffect,
+    useInsertionEffect: useInsertionEffect,
     useMemo:           useMemo,
     useCallback:       useCallback,
     useRef:            useRef,
+    useImperativeHandle: useImperativeHandle,
+    useId:             useId,
     useContext:        useContext,
+    useTransition:     useTransition,
+    useDeferredValue:  useDeferredValue,
+    useSyncExternalStore: useSyncExternalStore,
+    useStore:          useStore,
+    useErrorBoundary:  useErrorBoundary,
     useHash:           useHash,
 
     /* ── Template engine ── */